@@ -1,18 +1,14 @@
 /**
  * This is example how to scrape Hacker News site (https://news.ycombinator.com) using Apify SDK
- * with Cheerio and Request NPM packages.
+ * with Cheerio.
  *
  * Example uses:
- * - Apify BasicCrawler to scrape pages in parallel
+ * - Apify CheerioCrawler to download and parse pages in parallel
  * - Apify Dataset to store data
  * - Apify RequestQueue to manage dynamic queue of pending and handled requests
- * - Request NPM package to request html content of website
- * - Cherio NPM package to parse html and extract data
  */
 
 const Apify = require('apify');
-const rp = require('request-promise');
-const cheerio = require('cheerio');
 
 Apify.main(async () => {
     // Get queue and enqueue first url.
@@ -22,20 +18,17 @@ Apify.main(async () => {
     await requestQueue.addRequest(new Apify.Request({ url: 'https://news.ycombinator.com/' }));
 
     // Create crawler.
-    const crawler = new Apify.BasicCrawler({
+    const crawler = new Apify.CheerioCrawler({
         requestQueue,
 
         // This page is executed for each request.
+        // Parameter $ contains the html of the page parsed by cheerio.
         // If request failes then it's retried 3 times.
-        handleRequestFunction: async ({ request }) => {
+        handlePageFunction: async ({ $, request }) => {
             console.log(`Processing ${request.url}...`);
 
-            // Request html of page.
-            const html = await rp(request.url);
-
             // Extract data with cheerio.
             const data = [];
-            const $ = cheerio.load(html);
             $('.athing').each((index, el) => {
                 data.push({
                     title: $(el).find('.title a').text(),
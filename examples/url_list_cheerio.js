@@ -1,18 +1,14 @@
 /**
  * This example shows how to extract data (title and "see also" links) form a list of Wikipedia articles
- * using Cheerio and Request NPM packages.
+ * using Cheerio.
  *
  * Example uses:
- * - Apify BasicCrawler to scrape pages using Puppeteer in parallel
+ * - Apify CheerioCrawler to download and parse pages in parallel
  * - Apify Dataset to store data
  * - Apify RequestList to manage a list of urls to be processed
- * - Request NPM package to request html content of website
- * - Cherio NPM package to parse html and extract data
  */
 
 const Apify = require('apify');
-const rp = require('request-promise');
-const cheerio = require('cheerio');
 
 Apify.main(async () => {
     const sources = [
@@ -26,19 +22,16 @@ Apify.main(async () => {
     const requestList = new Apify.RequestList({ sources });
     await requestList.initialize();
 
-    const crawler = new Apify.BasicCrawler({
+    const crawler = new Apify.CheerioCrawler({
         requestList,
 
         // This page is executed for each request.
+        // Parameter $ contains the html of the page parsed by cheerio.
         // If request failes then it's retried 3 times.
-        handleRequestFunction: async ({ request }) => {
+        handlePageFunction: async ({ $, request }) => {
             console.log(`Processing ${request.url}...`);
 
-            // Request html of page.
-            const html = await rp(request.url);
-
             // Extract data with cheerio.
-            const $ = cheerio.load(html);
             const $seeAlsoElement = $('#See_also').parent().next();
             const seeAlsoLinks = [];
             $seeAlsoElement.find('a').each((index, el) => {
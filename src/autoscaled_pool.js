@@ -8,6 +8,7 @@ import { ACTOR_EVENT_NAMES } from './constants';
 
 const AUTOSCALE_INTERVAL_MILLIS = 200; // This is low to have at least.
 const MIN_FREE_MEMORY_RATIO = 0.1; // Minimum amount of memory that we keep free.
+const WAIT_FOR_RUNNING_TASKS_INTERVAL_MILLIS = 50;
 const DEFAULT_OPTIONS = {
     maxConcurrency: 1000,
     minConcurrency: 1,
@@ -42,6 +43,10 @@ const humanReadable = bytes => `${Math.round(bytes / 1024 / 1024)} MB`;
  * the function passed via `isFinishedFunction` resolves to `false`.
  * If any of the tasks throws then the `run()` function also throws.
  *
+ * The pool can be paused using the `pause()` function, which stops starting new tasks,
+ * and later resumed using the `resume()` function. The `abort()` function stops the pool
+ * and resolves the promise returned by `run()` without waiting for the running tasks.
+ *
  * The pool evaluates whether is should start a new task every time some of the tasks is finished
  * and also in the interval set by the `options.maybeRunIntervalMillis` parameter.
  *
@@ -159,10 +164,17 @@ export default class AutoscaledPool {
         this.queryingIsTaskReady = false;
         this.queryingIsFinished = false;
         this.lastLoggingTime = 0;
+        this.isPaused = false;
+        this.isAborted = false;
 
         // Intervals.
         this.autoscaleInterval = null;
         this.maybeRunTaskInterval = null;
+        this.waitForRunningTasksInterval = null;
+
+        // Promise returned by pause() and its resolve function.
+        this.runningTasksPromise = null;
+        this.resolveRunningTasks = null;
 
         // This is resolve function of Promise returned by this.run()
         // which gets resolved once everything is done.
@@ -220,6 +232,76 @@ export default class AutoscaledPool {
             });
     }
 
+    /**
+     * Pauses the pool. No new tasks are started until `resume()` is called.
+     * Returns a promise that gets resolved once all the running tasks are finished.
+     *
+     * @return {Promise}
+     */
+    pause() {
+        this.isPaused = true;
+
+        return this._waitForRunningTasks();
+    }
+
+    /**
+     * Resumes the pool paused by `pause()`.
+     */
+    resume() {
+        this.isPaused = false;
+        this._maybeRunTask();
+    }
+
+    /**
+     * Aborts the pool. No new tasks are started and the promise returned by `run()` gets resolved
+     * immediately, without waiting for the running tasks to finish. The promise returned by `pause()`
+     * gets resolved too. Note that the running tasks are not stopped, they keep running until they finish.
+     *
+     * @return {Promise}
+     */
+    abort() {
+        this.isAborted = true;
+        this._stopWaitingForRunningTasks();
+
+        if (this.resolve) this.resolve();
+
+        return Promise.resolve();
+    }
+
+    /**
+     * Returns a promise that gets resolved once there are no running tasks.
+     *
+     * @ignore
+     */
+    _waitForRunningTasks() {
+        if (this.runningCount <= 0) return Promise.resolve();
+
+        if (!this.runningTasksPromise) {
+            this.runningTasksPromise = new Promise((resolve) => {
+                this.resolveRunningTasks = resolve;
+                this.waitForRunningTasksInterval = setInterval(() => {
+                    if (this.runningCount <= 0) this._stopWaitingForRunningTasks();
+                }, WAIT_FOR_RUNNING_TASKS_INTERVAL_MILLIS);
+            });
+        }
+
+        return this.runningTasksPromise;
+    }
+
+    /**
+     * Clears the interval started by _waitForRunningTasks() and resolves its promise.
+     *
+     * @ignore
+     */
+    _stopWaitingForRunningTasks() {
+        clearInterval(this.waitForRunningTasksInterval);
+        if (this.resolveRunningTasks) this.resolveRunningTasks();
+
+        this.waitForRunningTasksInterval = null;
+        this.runningTasksPromise = null;
+        this.resolveRunningTasks = null;
+    }
+
     /**
      * Gets called every AUTOSCALE_INTERVAL_MILLIS and saves number of free bytes in this.freeBytesSnapshots.
      *
@@ -370,6 +452,7 @@ export default class AutoscaledPool {
      * @ignore
      */
     _maybeRunTask(recursion = 0) {
+        if (this.isPaused || this.isAborted) return;
         if (recursion >= this.concurrency) return;
         if (this.runningCount >= this.concurrency) return;
         if (this.queryingIsTaskReady) return;
@@ -392,6 +475,7 @@ export default class AutoscaledPool {
             .then((isTaskReady) => {
                 this.queryingIsTaskReady = false;
 
+                if (this.isPaused || this.isAborted) return;
                 if (!isTaskReady) return this._maybeFinish();
 
                 const taskPromise = this.runTaskFunction();
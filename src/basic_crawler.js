@@ -1,15 +1,79 @@
+import EventEmitter from 'events';
 import Promise from 'bluebird';
 import { checkParamOrThrow } from 'apify-client/build/utils';
 import _ from 'underscore';
 import log from 'apify-shared/log';
 import { checkParamPrototypeOrThrow } from 'apify-shared/utilities';
 import AutoscaledPool from './autoscaled_pool';
+import { CRAWLER_EVENT_NAMES, REQUEST_SOURCES_STRATEGIES } from './constants';
+import DomainLimiter from './domain_limiter';
+import { BlockedRequestError } from './errors';
+import { recordFailedRequest } from './failed_requests';
 import RequestList from './request_list';
+import RobotsTxt, { getDefaultRobotsTxt } from './robots_txt';
 import { RequestQueue, RequestQueueLocal } from './request_queue';
-import { isPromise } from './utils';
+import RequestSources from './request_sources';
+import SessionPool from './session_pool';
+import Statistics from './statistics';
+import { isPromise, runHooks } from './utils';
+
+// Maximum number of requests kept aside because their domain was saturated when they were fetched.
+const MAX_DEFERRED_REQUESTS = 1000;
+
+/**
+ * Creates a cancellation signal that is passed to handleRequestFunction. The signal is an EventEmitter
+ * with the `aborted` property that emits the `abort` event when the handler times out.
+ *
+ * @ignore
+ */
+const createAbortSignal = () => {
+    const signal = new EventEmitter();
+    signal.aborted = false;
+
+    return signal;
+};
+
+/**
+ * @ignore
+ */
+const abortSignal = (signal) => {
+    if (signal.aborted) return;
+
+    signal.aborted = true;
+    signal.emit('abort');
+};
+
+const DEFAULT_RETRY_POLICY = {
+    initialDelayMillis: 0,
+    maxDelayMillis: 60000,
+    backoffFactor: 2,
+    jitterRatio: 0.5,
+    isRetryableFunction: () => true,
+};
+
+/**
+ * Computes the delay before the given retry of a request using exponential backoff with jitter.
+ *
+ * @ignore
+ */
+const computeRetryDelayMillis = (retryCount, { initialDelayMillis, maxDelayMillis, backoffFactor, jitterRatio }) => {
+    const delayMillis = Math.min(maxDelayMillis, initialDelayMillis * (backoffFactor ** (retryCount - 1)));
+
+    return Math.round(delayMillis * (1 - (jitterRatio * Math.random())));
+};
 
 const DEFAULT_OPTIONS = {
     maxRequestRetries: 3,
+    maxBlockedRetries: 10,
+    retryPolicy: {},
+    onRequestFinishedHooks: [],
+    onRequestFailedHooks: [],
+    handleRequestTimeoutMillis: null,
+    minDelayBetweenRequestsPerDomainMillis: 0,
+    respectRobotsTxt: false,
+    requestSourcesStrategy: REQUEST_SOURCES_STRATEGIES.WEIGHTED,
+    useSessionPool: false,
+    sessionPoolOptions: {},
     handleFailedRequestFunction: ({ request }) => {
         const details = _.pick(request, 'id', 'url', 'method', 'uniqueKey');
 
@@ -31,6 +95,20 @@ const DEFAULT_OPTIONS = {
  * processes URLs from the `requestList` and automatically enqueues all of them to `requestQueue` before it starts
  * their processing. This guarantees that a single URL is not crawled multiple times.
  *
+ * Instead of `requestList` and `requestQueue`, the crawler can process requests from multiple sources passed as `requestSources`,
+ * e.g. several named request queues that should be drained fairly. The handled and reclaimed requests are always
+ * returned to the source they were fetched from.
+ *
+ * `BasicCrawler` is an `EventEmitter` that emits the following events, which are useful e.g. for monitoring:
+ *
+ * - `requestStarted` with `{ request }` when the processing of a request starts,
+ * - `requestSucceeded` with `{ request, durationMillis }` when a request is handled successfully,
+ * - `requestRetried` with `{ request, error, durationMillis, delayMillis }` when a failed request is reclaimed to be retried,
+ * - `requestFailed` with `{ request, error, durationMillis }` when a request failed and won't be retried anymore,
+ * - `crawlerFinished` with `{ stats }` when the `run()` function finishes, `stats` are the final `Statistics`.
+ *
+ * Errors thrown by the event listeners are only logged.
+ *
  * Example usage:
  *
  * ```javascript
@@ -66,16 +144,86 @@ const DEFAULT_OPTIONS = {
  *   Static list of URLs to be processed.
  * @param {RequestQueue} [options.requestQueue]
  *   Dynamic queue of URLs to be processed. This is useful for recursive crawling of websites.
+ * @param {Array} [options.requestSources]
+ *   Array of `RequestList` and `RequestQueue` instances or objects `{ source, weight }` to fetch the requests from.
+ *   The `weight` defaults to `1`. It cannot be combined with `options.requestList` and `options.requestQueue`.
+ * @param {String} [options.requestSourcesStrategy='weighted']
+ *   How the next request is picked from `options.requestSources`. With `weighted`, the sources take turns
+ *   in proportion to their weights, i.e. in a round-robin fashion if the weights are equal.
+ *   With `priority`, the requests are fetched from the first source in the array that is not empty.
  * @param {Function} [options.handleRequestFunction]
  *   Function that processes a single `Request` object. It must return a promise.
+ *   The function receives an object with the following properties:
+ *   `request` - the `Request` object to process,
+ *   `signal` - an `EventEmitter` whose `aborted` property is set to `true` and which emits the `abort` event
+ *   when the function times out or the crawler is aborted. Use it to abort pending HTTP requests, streams etc.
+ *   `session` - the `Session` to be used for the request if `useSessionPool` is set.
+ * @param {Number} [options.handleRequestTimeoutMillis]
+ *   Timeout in which the function passed as `options.handleRequestFunction` needs to finish, in milliseconds.
+ *   If the function times out then the request is retried or considered failed the same way as if the function threw an error.
+ *   Note that the timed out function is not stopped, only its `signal` is aborted. The function keeps running
+ *   and holding its resources until it finishes, unless it watches the `signal`. By default there is no timeout.
  * @param {Function} [options.handleFailedRequestFunction=({ request, error }) => log.error('Request failed', _.pick(request, 'url', 'uniqueKey'))`]
  *   Function that handles requests that failed more then `option.maxRequestRetries` times.
+ * @param {String} [options.failedRequestsDatasetName]
+ *   Name of the dataset where the requests that failed more than `option.maxRequestRetries` times are stored,
+ *   together with their `errorMessages`, `retryCount` and the `startedAt` and `failedAt` timestamps.
+ *   Use `Apify.openFailedRequestsList()` to crawl them again in a follow-up run.
+ * @param {Function[]} [options.onRequestFinishedHooks=[]]
+ *   Functions that are called one by one after `handleRequestFunction` successfully finishes.
+ *   Each function receives the crawling context, i.e. the object passed to `handleRequestFunction`,
+ *   and may return a promise. If any of the functions throws then the request is considered failed.
+ * @param {Function[]} [options.onRequestFailedHooks=[]]
+ *   Functions that are called one by one every time the processing of a request fails, before the request is retried.
+ *   Each function receives the crawling context with the `error` property set and may return a promise.
+ *   Errors thrown by these functions are only logged.
  * @param {Number} [options.maxRequestRetries=3]
  *   How many times the request is retried if `handleRequestFunction` failed.
+ *   It can be overridden for a single request by its `maxRetries` property.
+ * @param {Number} [options.maxBlockedRetries=10]
+ *   How many times the request is retried if `handleRequestFunction` threw `BlockedRequestError`,
+ *   without counting towards `options.maxRequestRetries`. After that the request is handled as a regular failure.
+ * @param {Object} [options.retryPolicy]
+ *   Defines how the failed requests are retried. The object can contain the following properties:
+ *   `initialDelayMillis` (default `0`) is the delay before the first retry of a request, in milliseconds.
+ *   If it's `0` then the failed requests are retried immediately.
+ *   Each following retry is delayed `backoffFactor` (default `2`) times more, up to `maxDelayMillis` (default `60000`).
+ *   `jitterRatio` (default `0.5`) defines the ratio by which the delay is randomly shortened
+ *   so that the retries of requests that failed at the same time are spread in time.
+ *   `isRetryableFunction` (default `() => true`) is a function that receives an object with the `request` and `error` properties
+ *   and returns `false` if the error is not worth retrying, e.g. for a page that doesn't exist. Such requests fail immediately.
  * @param {Number} [options.maxRequestsPerCrawl]
  *   Maximum number of pages that the crawler will open. The crawl will stop when this limit is reached.
  *   Always set this value in order to prevent infinite loops in misconfigured crawlers.
  *   Note that in cases of parallel crawling, the actual number of pages visited might be slightly higher than this value.
+ * @param {Number} [options.maxCrawlDepth]
+ *   Maximum depth of the requests to process, see the `depth` property of `Request`.
+ *   Deeper requests are marked as handled without calling `handleRequestFunction`.
+ * @param {Number} [options.maxConcurrencyPerDomain]
+ *   Maximum number of requests to the same hostname that are processed in parallel.
+ *   Requests to a hostname that reached this limit are deferred until some of its requests finish,
+ *   while requests to other hostnames are processed as usual.
+ * @param {Number} [options.minDelayBetweenRequestsPerDomainMillis=0]
+ *   Minimum time between the starts of two requests to the same hostname, in milliseconds.
+ * @param {Boolean} [options.respectRobotsTxt=false]
+ *   If set to `true` then requests disallowed by the `robots.txt` file of their website
+ *   are marked as handled without calling `handleRequestFunction`,
+ *   and the `Crawl-delay` directive is applied as the minimum delay between requests to the hostname.
+ *   See `RobotsTxt` for details.
+ * @param {RobotsTxt} [options.robotsTxt]
+ *   Instance of `RobotsTxt` used when `respectRobotsTxt` is set, e.g. to evaluate rules for a specific user agent.
+ *   By default a shared instance for the `*` user agent is used.
+ * @param {Boolean} [options.useSessionPool=false]
+ *   If set to `true` then the crawler creates a `SessionPool` and passes a `Session` to each request
+ *   as `session` property of the object passed to `handleRequestFunction`.
+ *   The session is marked good when the request succeeds and bad when it fails.
+ *   Call `session.retire()` in `handleRequestFunction` if the website blocked the session.
+ * @param {Object} [options.sessionPoolOptions]
+ *   Options passed to the `SessionPool` constructor, such as `maxPoolSize`, `useApifyProxy` or `persistStateKey`.
+ * @param {String} [options.persistStatisticsKey]
+ *   Key-value store key under which the crawler statistics are persisted, so that they survive actor migration.
+ *   The statistics are persisted only if this option is set, otherwise they start from zero after each migration or restart.
+ *   Use a different key for each crawler in the actor. See `persistStateKey` parameter of `Statistics`.
  * @param {Number} [options.maxMemoryMbytes]
  *   Maximum memory available in the system
  *   See `AutoscaledPool` for details.
@@ -100,15 +248,33 @@ const DEFAULT_OPTIONS = {
  *   This is mainly useful when tasks are running as separate processes (e.g. web browsers).
  *   See `AutoscaledPool` for details.
  */
-export default class BasicCrawler {
+export default class BasicCrawler extends EventEmitter {
     constructor(opts) {
+        super();
+
         const {
             requestList,
             requestQueue,
+            requestSources,
+            requestSourcesStrategy,
             handleRequestFunction,
+            handleRequestTimeoutMillis,
             handleFailedRequestFunction,
+            failedRequestsDatasetName,
+            onRequestFinishedHooks,
+            onRequestFailedHooks,
             maxRequestRetries,
+            maxBlockedRetries,
+            retryPolicy,
             maxRequestsPerCrawl,
+            maxCrawlDepth,
+            maxConcurrencyPerDomain,
+            minDelayBetweenRequestsPerDomainMillis,
+            respectRobotsTxt,
+            robotsTxt,
+            useSessionPool,
+            sessionPoolOptions,
+            persistStatisticsKey,
 
             // AutoscaledPool options
             maxMemoryMbytes,
@@ -121,21 +287,73 @@ export default class BasicCrawler {
 
         checkParamPrototypeOrThrow(requestList, 'opts.requestList', RequestList, 'Apify.RequestList', true);
         checkParamPrototypeOrThrow(requestQueue, 'opts.requestQueue', [RequestQueue, RequestQueueLocal], 'Apify.RequestQueue', true);
+        checkParamOrThrow(requestSources, 'opts.requestSources', 'Maybe Array');
+        checkParamOrThrow(requestSourcesStrategy, 'opts.requestSourcesStrategy', 'String');
         checkParamOrThrow(handleRequestFunction, 'opts.handleRequestFunction', 'Function');
+        checkParamOrThrow(handleRequestTimeoutMillis, 'opts.handleRequestTimeoutMillis', 'Maybe Number');
         checkParamOrThrow(handleFailedRequestFunction, 'opts.handleFailedRequestFunction', 'Function');
+        checkParamOrThrow(failedRequestsDatasetName, 'opts.failedRequestsDatasetName', 'Maybe String');
+        checkParamOrThrow(onRequestFinishedHooks, 'opts.onRequestFinishedHooks', '[Function]');
+        checkParamOrThrow(onRequestFailedHooks, 'opts.onRequestFailedHooks', '[Function]');
         checkParamOrThrow(maxRequestRetries, 'opts.maxRequestRetries', 'Number');
+        checkParamOrThrow(maxBlockedRetries, 'opts.maxBlockedRetries', 'Number');
+        checkParamOrThrow(retryPolicy, 'opts.retryPolicy', 'Object');
+        checkParamOrThrow(retryPolicy.initialDelayMillis, 'opts.retryPolicy.initialDelayMillis', 'Maybe Number');
+        checkParamOrThrow(retryPolicy.maxDelayMillis, 'opts.retryPolicy.maxDelayMillis', 'Maybe Number');
+        checkParamOrThrow(retryPolicy.backoffFactor, 'opts.retryPolicy.backoffFactor', 'Maybe Number');
+        checkParamOrThrow(retryPolicy.jitterRatio, 'opts.retryPolicy.jitterRatio', 'Maybe Number');
+        checkParamOrThrow(retryPolicy.isRetryableFunction, 'opts.retryPolicy.isRetryableFunction', 'Maybe Function');
         checkParamOrThrow(maxRequestsPerCrawl, 'opts.maxRequestsPerCrawl', 'Maybe Number');
-
-        if (!requestList && !requestQueue) {
-            throw new Error('At least one of the parameters "opts.requestList" and "opts.requestQueue" must be provided!');
+        checkParamOrThrow(maxCrawlDepth, 'opts.maxCrawlDepth', 'Maybe Number');
+        checkParamOrThrow(maxConcurrencyPerDomain, 'opts.maxConcurrencyPerDomain', 'Maybe Number');
+        checkParamOrThrow(minDelayBetweenRequestsPerDomainMillis, 'opts.minDelayBetweenRequestsPerDomainMillis', 'Number');
+        checkParamOrThrow(respectRobotsTxt, 'opts.respectRobotsTxt', 'Boolean');
+        checkParamPrototypeOrThrow(robotsTxt, 'opts.robotsTxt', RobotsTxt, 'Apify.RobotsTxt', true);
+        checkParamOrThrow(useSessionPool, 'opts.useSessionPool', 'Boolean');
+        checkParamOrThrow(sessionPoolOptions, 'opts.sessionPoolOptions', 'Object');
+        checkParamOrThrow(persistStatisticsKey, 'opts.persistStatisticsKey', 'Maybe String');
+
+        if (requestSources && (requestList || requestQueue)) {
+            throw new Error('Parameter "opts.requestSources" cannot be combined with "opts.requestList" and "opts.requestQueue"!');
+        }
+        if (!requestList && !requestQueue && !requestSources) {
+            throw new Error('At least one of the parameters "opts.requestList", "opts.requestQueue" and "opts.requestSources" must be provided!');
         }
 
         this.requestList = requestList;
         this.requestQueue = requestQueue;
+        this.requestSources = requestSources ? new RequestSources({ sources: requestSources, strategy: requestSourcesStrategy }) : null;
         this.handleRequestFunction = handleRequestFunction;
+        this.handleRequestTimeoutMillis = handleRequestTimeoutMillis;
         this.handleFailedRequestFunction = handleFailedRequestFunction;
+        this.failedRequestsDatasetName = failedRequestsDatasetName;
+        this.onRequestFinishedHooks = onRequestFinishedHooks;
+        this.onRequestFailedHooks = onRequestFailedHooks;
         this.maxRequestRetries = maxRequestRetries;
+        this.maxBlockedRetries = maxBlockedRetries;
+        this.retryPolicy = _.defaults({}, retryPolicy, DEFAULT_RETRY_POLICY);
+        this.maxCrawlDepth = maxCrawlDepth;
         this.handledRequestsCount = 0;
+        this.sessionPool = useSessionPool ? new SessionPool(sessionPoolOptions) : null;
+        this.stats = new Statistics({ persistStateKey: persistStatisticsKey, logMessage: 'BasicCrawler: statistics' });
+
+        this.robotsTxt = respectRobotsTxt ? robotsTxt || getDefaultRobotsTxt() : null;
+        this.domainLimiter = maxConcurrencyPerDomain || minDelayBetweenRequestsPerDomainMillis || respectRobotsTxt
+            ? new DomainLimiter({ maxConcurrencyPerDomain, minDelayBetweenRequestsPerDomainMillis })
+            : null;
+
+        // Requests fetched from RequestList or RequestQueue whose domain was saturated at that time.
+        // They stay in progress in their source until they get processed.
+        this.deferredRequests = [];
+
+        // Dictionary of requests being processed, key is Request.uniqueKey,
+        // value is { request, signal, isAborted }.
+        this.tasksInProgress = {};
+        this.isAborted = false;
+
+        // Dictionary, key is Request.uniqueKey, value is how many times the request was retried because it was blocked.
+        // Entries are removed once the request is handled or failed.
+        this.blockedRetryCounts = {};
 
         const isMaxPagesExceeded = () => maxRequestsPerCrawl && maxRequestsPerCrawl <= this.handledRequestsCount;
 
@@ -163,20 +381,187 @@ export default class BasicCrawler {
 
     /**
      * Runs the crawler. Returns a promise that gets resolved once all the requests are processed.
+     * The promise resolves to the final crawler statistics, see `Statistics.calculate()` for details.
      *
      * @return {Promise}
      */
     run() {
-        return this.autoscaledPool.run();
+        return Promise
+            .all([
+                this.stats.startCapturing(),
+                this.sessionPool ? this.sessionPool.initialize() : null,
+            ])
+            .then(() => this.autoscaledPool.run())
+            .finally(() => {
+                return Promise.all([
+                    this.stats.stopCapturing(),
+                    this.sessionPool ? this.sessionPool.teardown() : null,
+                    this._reclaimDelayedRequests(),
+                ]);
+            })
+            .then(() => {
+                const stats = this.stats.calculate();
+
+                log.info('BasicCrawler: final statistics', stats);
+                this._emitEvent(CRAWLER_EVENT_NAMES.CRAWLER_FINISHED, { stats });
+
+                return stats;
+            });
     }
 
     /**
-     * Fetches request from either RequestList or RequestQueue. If request comes from a RequestList
-     * and RequestQueue is present then enqueues it to the queue first.
+     * Pauses the crawler. No new requests are started until `resume()` is called.
+     * Returns a promise that gets resolved once all the requests being processed are finished.
+     *
+     * @return {Promise}
+     */
+    pause() {
+        log.info('BasicCrawler: pausing, waiting for the running requests to finish');
+
+        return this.autoscaledPool.pause();
+    }
+
+    /**
+     * Resumes the crawler paused by `pause()`.
+     */
+    resume() {
+        log.info('BasicCrawler: resuming');
+
+        this.autoscaledPool.resume();
+    }
+
+    /**
+     * Aborts the crawler. No new requests are started, the requests being processed are reclaimed back
+     * to the `RequestList` or `RequestQueue` and the promise returned by `run()` gets resolved.
+     *
+     * By default, the running requests are abandoned immediately and the `signal` passed to `handleRequestFunction`
+     * gets aborted. The crawler cannot stop the running functions, so `handleRequestFunction` must watch the `signal`
+     * and stop its work once it's aborted, otherwise it keeps running and holding its resources until it finishes.
+     * If `opts.drain` is `true` then the crawler first waits for the running requests to finish.
+     *
+     * @param {Object} [opts]
+     * @param {Boolean} [opts.drain=false]
+     *   If `true` then the crawler waits for the running requests to finish before it aborts.
+     * @return {Promise}
+     */
+    abort(opts = {}) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+
+        const { drain = false } = opts;
+
+        checkParamOrThrow(drain, 'opts.drain', 'Boolean');
+
+        log.info('BasicCrawler: aborting', { drain });
+
+        const source = this.requestSources || this.requestQueue || this.requestList;
+        const pausePromise = this.autoscaledPool.pause();
+
+        return Promise.resolve(drain ? pausePromise : null)
+            .then(() => {
+                this.isAborted = true;
+
+                const tasks = _.values(this.tasksInProgress);
+                const requests = _.pluck(tasks, 'request').concat(this.deferredRequests);
+
+                tasks.forEach((task) => {
+                    task.isAborted = true;
+                    abortSignal(task.signal);
+                });
+                this.tasksInProgress = {};
+                this.deferredRequests = [];
+
+                return Promise.mapSeries(requests, request => source.reclaimRequest(request));
+            })
+            .then(() => this._reclaimDelayedRequests())
+            .then(() => this.autoscaledPool.abort());
+    }
+
+    /**
+     * Reclaims immediately the failed requests that wait for their retry, so that no timers
+     * are left behind once the crawler finishes or gets aborted.
+     *
+     * @ignore
+     */
+    _reclaimDelayedRequests() {
+        const sources = _.compact([this.requestSources, this.requestQueue, this.requestList]);
+
+        return Promise.mapSeries(sources, source => source.reclaimDelayedRequests());
+    }
+
+    /**
+     * Fetches the next request whose domain is not saturated. Requests to saturated domains
+     * are kept aside in this.deferredRequests and returned once their domain frees up.
+     * Requests disallowed by robots.txt are marked as handled and skipped.
      *
      * @ignore
      */
     _fetchNextRequest() {
+        if (!this.domainLimiter) return this._fetchNextRequestFromSources();
+
+        const deferredRequest = _.find(this.deferredRequests, request => this.domainLimiter.tryAcquire(request.url));
+        if (deferredRequest) {
+            this.deferredRequests = _.without(this.deferredRequests, deferredRequest);
+
+            return Promise.resolve(deferredRequest);
+        }
+
+        if (this.deferredRequests.length >= MAX_DEFERRED_REQUESTS) return Promise.resolve(null);
+
+        return this
+            ._fetchNextRequestFromSources()
+            .then((request) => {
+                if (!request) return request;
+
+                return this
+                    ._checkRobotsTxt(request)
+                    .then((isAllowed) => {
+                        if (isAllowed && this.domainLimiter.tryAcquire(request.url)) return request;
+                        if (isAllowed) this.deferredRequests.push(request);
+
+                        return this._fetchNextRequest();
+                    });
+            });
+    }
+
+    /**
+     * Resolves to `false` and marks the request handled if it's disallowed by robots.txt,
+     * otherwise applies the Crawl-delay of its domain and resolves to `true`.
+     *
+     * @ignore
+     */
+    _checkRobotsTxt(request) {
+        if (!this.robotsTxt) return Promise.resolve(true);
+
+        const source = this.requestSources || this.requestQueue || this.requestList;
+
+        return Promise
+            .all([
+                this.robotsTxt.isAllowed(request.url),
+                this.robotsTxt.getCrawlDelayMillis(request.url),
+            ])
+            .spread((isAllowed, crawlDelayMillis) => {
+                if (!isAllowed) {
+                    log.info('BasicCrawler: Skipping request disallowed by robots.txt', { url: request.url });
+
+                    return source
+                        .markRequestHandled(request)
+                        .then(() => false);
+                }
+
+                if (crawlDelayMillis) this.domainLimiter.setDomainDelay(request.url, crawlDelayMillis);
+
+                return true;
+            });
+    }
+
+    /**
+     * Fetches request from the requestSources or from either RequestList or RequestQueue. If request comes from a RequestList
+     * and RequestQueue is present then enqueues it to the queue first.
+     *
+     * @ignore
+     */
+    _fetchNextRequestFromSources() {
+        if (this.requestSources) return this.requestSources.fetchNextRequest();
         if (!this.requestList) return this.requestQueue.fetchNextRequest();
 
         return this.requestList
@@ -214,77 +599,236 @@ export default class BasicCrawler {
      * @ignore
      */
     _runTaskFunction() {
-        const source = this.requestQueue || this.requestList;
+        const source = this.requestSources || this.requestQueue || this.requestList;
 
         return this._fetchNextRequest()
             .then((request) => {
                 if (!request) return;
 
+                // The crawler was aborted while the request was being fetched.
+                if (this.isAborted) return source.reclaimRequest(request);
+
+                if (_.isNumber(this.maxCrawlDepth) && request.depth > this.maxCrawlDepth) {
+                    log.info('BasicCrawler: Skipping request that exceeds maxCrawlDepth', {
+                        url: request.url,
+                        depth: request.depth,
+                        maxCrawlDepth: this.maxCrawlDepth,
+                    });
+                    if (this.domainLimiter) this.domainLimiter.release(request.url);
+
+                    return source.markRequestHandled(request);
+                }
+
+                this.stats.startJob(request);
+                this._emitEvent(CRAWLER_EVENT_NAMES.REQUEST_STARTED, { request });
+
                 let willBeRetried = false;
-                const handlePromise = this.handleRequestFunction({ request });
+                const startedAt = new Date();
+                const getDurationMillis = () => Date.now() - startedAt.getTime();
+                const signal = createAbortSignal();
+                const timeoutMessage = `BasicCrawler: handleRequestFunction timed out after ${this.handleRequestTimeoutMillis} millis.`;
+                const session = this.sessionPool ? this.sessionPool.getSession() : undefined;
+                const crawlingContext = { request, signal, session };
+                const handlePromise = this.handleRequestFunction(crawlingContext);
                 if (!isPromise(handlePromise)) throw new Error('User provided handleRequestFunction must return a Promise.');
 
+                const task = { request, signal, isAborted: false };
+                this.tasksInProgress[request.uniqueKey] = task;
+
                 // NOTE: handlePromise might not be bluebird promise
-                return Promise.resolve()
+                const finishedPromise = Promise.resolve()
                     .then(() => handlePromise)
-                    .then(() => source.markRequestHandled(request))
+                    .then(() => runHooks(this.onRequestFinishedHooks, crawlingContext));
+                const timedPromise = this.handleRequestTimeoutMillis
+                    ? finishedPromise
+                        .timeout(this.handleRequestTimeoutMillis, timeoutMessage)
+                        .catch(Promise.TimeoutError, (err) => {
+                            abortSignal(signal);
+                            throw err;
+                        })
+                    : finishedPromise;
+
+                return timedPromise
                     .catch((error) => {
+                        if (task.isAborted) throw error;
+
+                        crawlingContext.error = error;
+
+                        return runHooks(this.onRequestFailedHooks, crawlingContext)
+                            .catch(err => log.exception(err, 'BasicCrawler: onRequestFailedHooks failed', { url: request.url }))
+                            .then(() => { throw error; });
+                    })
+                    .then(() => {
+                        // Aborted requests were already reclaimed by abort().
+                        if (task.isAborted) return;
+                        delete this.tasksInProgress[request.uniqueKey];
+                        if (session) session.markGood();
+
+                        return source
+                            .markRequestHandled(request)
+                            .then(() => {
+                                this.stats.finishJob(request);
+                                this._emitEvent(CRAWLER_EVENT_NAMES.REQUEST_SUCCEEDED, { request, durationMillis: getDurationMillis() });
+                            });
+                    })
+                    .catch((error) => {
+                        if (task.isAborted) return;
+                        delete this.tasksInProgress[request.uniqueKey];
+                        if (session) session.markBad();
+
+                        // Blocked requests are retried without counting towards maxRequestRetries.
+                        if (error instanceof BlockedRequestError && this._tryRetryBlocked(request)) {
+                            if (session) session.retire();
+
+                            log.warning('BasicCrawler: request blocked, reclaiming it back to the list or queue', {
+                                url: request.url,
+                                reason: error.message,
+                            });
+                            willBeRetried = true;
+                            this.stats.retryJob(request);
+
+                            return source
+                                .reclaimRequest(request)
+                                .then(() => {
+                                    this._emitEvent(CRAWLER_EVENT_NAMES.REQUEST_RETRIED, {
+                                        request,
+                                        error,
+                                        durationMillis: getDurationMillis(),
+                                        delayMillis: 0,
+                                    });
+                                });
+                        }
+
                         if (request.ignoreErrors) {
                             log.exception(error, 'BasicCrawler: handleRequestFunction failed, request.ignoreErrors=true so marking the request as handled', { // eslint-disable-line max-len
                                 url: request.url,
                                 retryCount: request.retryCount,
                             });
 
-                            return source.markRequestHandled(request);
+                            return source
+                                .markRequestHandled(request)
+                                .then(() => {
+                                    this.stats.finishJob(request);
+                                    this._emitEvent(CRAWLER_EVENT_NAMES.REQUEST_SUCCEEDED, { request, durationMillis: getDurationMillis() });
+                                });
                         }
 
                         request.pushErrorMessage(error);
 
+                        const maxRetries = _.isNumber(request.maxRetries) ? request.maxRetries : this.maxRequestRetries;
+                        const isRetryable = this.retryPolicy.isRetryableFunction({ request, error });
+
                         // Retry request.
-                        if (request.retryCount < this.maxRequestRetries) {
+                        if (isRetryable && request.retryCount < maxRetries) {
                             request.retryCount++;
+
+                            const delayMillis = computeRetryDelayMillis(request.retryCount, this.retryPolicy);
+
                             log.exception(error, 'BasicCrawler: handleRequestFunction failed, reclaiming failed request back to the list or queue', {
                                 url: request.url,
                                 retryCount: request.retryCount,
+                                delayMillis,
                             });
                             willBeRetried = true;
-
-                            return source.reclaimRequest(request);
+                            this.stats.retryJob(request);
+
+                            return source
+                                .reclaimRequest(request, { delayMillis })
+                                .then(() => {
+                                    this._emitEvent(CRAWLER_EVENT_NAMES.REQUEST_RETRIED, {
+                                        request,
+                                        error,
+                                        durationMillis: getDurationMillis(),
+                                        delayMillis,
+                                    });
+                                });
                         }
 
                         log.exception(error, 'BasicCrawler: handleRequestFunction failed, marking failed request as handled', {
                             url: request.url,
                             retryCount: request.retryCount,
+                            isRetryable,
                         });
 
                         // Mark as failed.
+                        this.stats.failJob(request);
+
                         return source
                             .markRequestHandled(request)
+                            .then(() => {
+                                this._emitEvent(CRAWLER_EVENT_NAMES.REQUEST_FAILED, { request, error, durationMillis: getDurationMillis() });
+
+                                if (this.failedRequestsDatasetName) return recordFailedRequest(this.failedRequestsDatasetName, request, startedAt);
+                            })
                             .then(() => this.handleFailedRequestFunction({ request, error }));
                     })
                     .finally(() => {
-                        if (!willBeRetried) this.handledRequestsCount++;
+                        if (task.isAborted) return;
+
+                        if (this.domainLimiter) this.domainLimiter.release(request.url);
+                        if (willBeRetried) return;
+
+                        this.handledRequestsCount++;
+                        delete this.blockedRetryCounts[request.uniqueKey];
                     });
             });
     }
 
+    /**
+     * Returns `true` and counts the retry if the blocked request can be retried once more.
+     *
+     * @ignore
+     */
+    _tryRetryBlocked(request) {
+        const { uniqueKey } = request;
+        const count = this.blockedRetryCounts[uniqueKey] || 0;
+
+        if (count >= this.maxBlockedRetries) return false;
+        this.blockedRetryCounts[uniqueKey] = count + 1;
+
+        return true;
+    }
+
+    /**
+     * Emits the event and logs errors thrown by its listeners so that they don't break the crawling.
+     *
+     * @ignore
+     */
+    _emitEvent(eventName, data) {
+        try {
+            this.emit(eventName, data);
+        } catch (err) {
+            log.exception(err, 'BasicCrawler: event listener failed', { eventName });
+        }
+    }
+
     /**
      * Returns true if some RequestList and RequestQueue have request ready for processing.
+     * Requests waiting for their delayed retry are not ready, the pool checks for them periodically.
      *
      * @ignore
      */
     _isTaskReadyFunction() {
+        if (this.domainLimiter) {
+            if (_.some(this.deferredRequests, request => this.domainLimiter.isAvailable(request.url))) return Promise.resolve(true);
+            if (this.deferredRequests.length >= MAX_DEFERRED_REQUESTS) return Promise.resolve(false);
+        }
+
+        const opts = { ignoreDelayedReclaims: true };
+
+        if (this.requestSources) return this.requestSources.isEmpty(opts).then(isEmpty => !isEmpty);
+
         return Promise
             .resolve()
             .then(() => {
                 if (!this.requestList) return true;
 
-                return this.requestList.isEmpty();
+                return this.requestList.isEmpty(opts);
             })
             .then((isRequestListEmpty) => {
                 if (!isRequestListEmpty || !this.requestQueue) return isRequestListEmpty;
 
-                return this.requestQueue.isEmpty();
+                return this.requestQueue.isEmpty(opts);
             })
             .then(areBothEmpty => !areBothEmpty);
     }
@@ -299,6 +843,7 @@ export default class BasicCrawler {
 
         if (this.requestList) promises.push(this.requestList.isFinished());
         if (this.requestQueue) promises.push(this.requestQueue.isFinished());
+        if (this.requestSources) promises.push(this.requestSources.isFinished());
 
         return Promise
             .all(promises)
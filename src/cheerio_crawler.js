@@ -0,0 +1,469 @@
+import EventEmitter from 'events';
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import log from 'apify-shared/log';
+import _ from 'underscore';
+import Promise from 'bluebird';
+import cheerio from 'cheerio';
+import contentTypeParser from 'content-type';
+import iconv from 'iconv-lite';
+import requestPromise from 'request-promise';
+import BasicCrawler from './basic_crawler';
+import { CRAWLER_EVENT_NAMES } from './constants';
+import { isPromise, runHooks } from './utils';
+
+const DEFAULT_MIME_TYPES = ['text/html', 'application/xhtml+xml'];
+const DEFAULT_ENCODING = 'utf8';
+
+const DEFAULT_OPTIONS = {
+    requestTimeoutMillis: 30000,
+    handlePageTimeoutMillis: 300000,
+    ignoreSslErrors: false,
+    additionalMimeTypes: [],
+    preNavigationHooks: [],
+    postNavigationHooks: [],
+};
+
+/**
+ * Returns the User-Agent and Cookie headers of the session for a request to the given URL.
+ *
+ * @ignore
+ */
+const getSessionHeaders = (session, url) => {
+    const headers = { 'User-Agent': session.userAgent };
+    const cookieString = session.getCookieString(url);
+
+    if (cookieString) headers.Cookie = cookieString;
+
+    return headers;
+};
+
+/**
+ * Parses the Content-Type header of the response. If the header is missing or invalid,
+ * the response is considered to be an HTML document encoded in UTF-8.
+ *
+ * @ignore
+ */
+const parseContentType = (contentTypeHeader) => {
+    try {
+        const { type, parameters } = contentTypeParser.parse(contentTypeHeader);
+
+        return { type, encoding: parameters.charset || DEFAULT_ENCODING };
+    } catch (err) {
+        log.debug('CheerioCrawler: Cannot parse Content-Type header, assuming text/html', { contentTypeHeader });
+
+        return { type: DEFAULT_MIME_TYPES[0], encoding: DEFAULT_ENCODING };
+    }
+};
+
+/**
+ * Decodes the response body using the given encoding. Falls back to UTF-8 for unknown encodings.
+ *
+ * @ignore
+ */
+const decodeBody = (body, encoding) => {
+    if (iconv.encodingExists(encoding)) return iconv.decode(body, encoding);
+
+    log.warning('CheerioCrawler: Unknown encoding of the response, decoding it as UTF-8', { encoding });
+
+    return iconv.decode(body, DEFAULT_ENCODING);
+};
+
+/**
+ * Provides a framework for the parallel crawling of web pages using plain HTTP requests
+ * and the [cheerio](https://www.npmjs.com/package/cheerio) HTML parser.
+ * The URLs of pages to visit are given by `Request` objects that are fed from a list (see `RequestList` class)
+ * or from a dynamic queue (see `RequestQueue` class).
+ *
+ * `CheerioCrawler` downloads each URL using a plain HTTP request, respecting the `method`, `headers` and `payload`
+ * of the `Request` object, decodes the response body using the character set from the `Content-Type` header,
+ * parses the HTML using cheerio and then calls the function provided by user as the `handlePageFunction` option.
+ * Only responses with the `text/html` or `application/xhtml+xml` content types are processed,
+ * see the `additionalMimeTypes` option to accept other ones.
+ * New requests are only started if there is enough free CPU and memory available,
+ * using the `AutoscaledPool` class internally.
+ *
+ * Since `CheerioCrawler` doesn't run a web browser, it's much faster and less resource-intensive than `PuppeteerCrawler`,
+ * but it cannot process pages that require JavaScript to render their content.
+ *
+ * Basic usage:
+ *
+ * ```javascript
+ * const crawler = new Apify.CheerioCrawler({
+ *     requestList,
+ *     handlePageFunction: async ({ $, html, request, response }) => {
+ *         // This function is called to extract data from a single web page
+ *         // '$' is the cheerio object with the parsed HTML of the page
+ *         // 'html' is the raw HTML of the page as a string
+ *         // 'request' is an instance of Request class with information about the page to load
+ *         // 'response' is the HTTP response object provided by the request NPM package
+ *         await Apify.pushData({
+ *             title: $('title').text(),
+ *             url: request.url,
+ *             succeeded: true,
+ *         })
+ *     },
+ *     handleFailedRequestFunction: async ({ request }) => {
+ *         // This function is called when crawling of a request failed too many time
+ *         await Apify.pushData({
+ *             url: request.url,
+ *             succeeded: false,
+ *             errors: request.errorMessages,
+ *         })
+ *     },
+ * });
+ *
+ * await crawler.run();
+ * ```
+ *
+ * `CheerioCrawler` is an `EventEmitter` that forwards the `requestStarted`, `requestSucceeded`, `requestRetried`,
+ * `requestFailed` and `crawlerFinished` events of the underlying `BasicCrawler`. See `BasicCrawler` for details.
+ *
+ * @param {RequestList} [options.requestList]
+ *   List of the requests to be processed.
+ *   See the `requestList` parameter of `BasicCrawler` for more details.
+ * @param {RequestQueue} [options.requestQueue]
+ *   Queue of the requests to be processed.
+ *   See the `requestQueue` parameter of `BasicCrawler` for more details.
+ * @param {Array} [options.requestSources]
+ *   Multiple request lists and queues to be processed instead of `options.requestList` and `options.requestQueue`.
+ *   See the `requestSources` parameter of `BasicCrawler` for more details.
+ * @param {String} [options.requestSourcesStrategy='weighted']
+ *   See the `requestSourcesStrategy` parameter of `BasicCrawler` for more details.
+ * @param {Function} [options.handlePageFunction]
+ *   Function that is called to process each request.
+ *   It is passed the crawling context, an object with the following fields:
+ *   `$` is the cheerio object with the parsed HTML of the page,
+ *   `html` is the HTML of the page as a string,
+ *   `request` is an instance of the `Request` object with details about the URL to open, HTTP method etc.,
+ *   `response` is the response object of the [request](https://www.npmjs.com/package/request) NPM package,
+ *   `signal` is the cancellation signal that gets aborted when the request times out,
+ *   see the `handleRequestFunction` parameter of `BasicCrawler` for details,
+ *   `session` is the `Session` used for the request if `useSessionPool` is set.
+ *   The request is then sent through the session's proxy with its user agent and cookies,
+ *   and the cookies set by the response are stored in the session.
+ *   The function must return a promise.
+ * @param {Number} [options.requestTimeoutMillis=30000]
+ *   Timeout in which the HTTP request to the page needs to finish.
+ * @param {Number} [options.handlePageTimeoutMillis=300000]
+ *   Timeout in which the function passed as `options.handlePageFunction` needs to finish.
+ * @param {Number} [options.handleRequestTimeoutMillis]
+ *   Timeout of the whole processing of a request, after which its `signal` is aborted.
+ *   Defaults to the sum of `options.requestTimeoutMillis` and `options.handlePageTimeoutMillis`.
+ *   See `handleRequestTimeoutMillis` parameter of `BasicCrawler`.
+ * @param {Boolean} [options.ignoreSslErrors=false]
+ *   If set to `true`, SSL certificate errors will be ignored.
+ * @param {String[]} [options.additionalMimeTypes=[]]
+ *   An array of MIME types that will be processed in addition to `text/html` and `application/xhtml+xml`.
+ *   Responses with other content types cause the request to fail.
+ * @param {Function[]} [options.preNavigationHooks=[]]
+ *   Functions that are called one by one before the HTTP request is made, e.g. to set headers of the request.
+ *   Each function receives the crawling context with the `request` and `signal` fields and may return a promise.
+ * @param {Function[]} [options.postNavigationHooks=[]]
+ *   Functions that are called one by one after the HTTP response is received and before `options.handlePageFunction`.
+ *   Each function receives the crawling context, see `options.handlePageFunction`, and may return a promise.
+ * @param {Function[]} [options.onRequestFinishedHooks=[]]
+ *   Functions that are called one by one after `options.handlePageFunction` successfully finishes.
+ *   See `onRequestFinishedHooks` parameter of `BasicCrawler`.
+ * @param {Function[]} [options.onRequestFailedHooks=[]]
+ *   Functions that are called one by one every time the processing of a request fails.
+ *   See `onRequestFailedHooks` parameter of `BasicCrawler`.
+ * @param {Function} [options.handleFailedRequestFunction=({ request }) => log.error('Request failed', _.pick(request, 'url', 'uniqueKey'))]
+ *   Function to handle requests that failed more than `option.maxRequestRetries` times. See the `handleFailedRequestFunction`
+ *   parameter of `Apify.BasicCrawler` for details.
+ * @param {String} [options.failedRequestsDatasetName]
+ *   Name of the dataset where the permanently failed requests are stored.
+ *   See `failedRequestsDatasetName` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxRequestRetries=3]
+ *   Indicates how many times each request is retried if `handleRequestFunction` failed.
+ *   See `maxRequestRetries` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxBlockedRetries=10]
+ *   How many times the request is retried if `options.handlePageFunction` threw `BlockedRequestError`.
+ *   See `maxBlockedRetries` parameter of `BasicCrawler`.
+ * @param {Object} [options.retryPolicy]
+ *   Defines the delays between retries of failed requests and which errors are retried.
+ *   See `retryPolicy` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxRequestsPerCrawl]
+ *   Maximum number of pages that the crawler will open. The crawl will stop when this limit is reached.
+ *   Always set this value in order to prevent infinite loops in misconfigured crawlers.
+ *   Note that in cases of parallel crawling, the actual number of pages visited might be slightly higher than this value.
+ *   See `maxRequestsPerCrawl` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxCrawlDepth]
+ *   Maximum depth of the requests to process. Deeper requests are skipped.
+ *   See `maxCrawlDepth` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxConcurrencyPerDomain]
+ *   Maximum number of requests to the same hostname that are processed in parallel.
+ *   See `maxConcurrencyPerDomain` parameter of `BasicCrawler`.
+ * @param {Number} [options.minDelayBetweenRequestsPerDomainMillis=0]
+ *   Minimum time between the starts of two requests to the same hostname, in milliseconds.
+ *   See `minDelayBetweenRequestsPerDomainMillis` parameter of `BasicCrawler`.
+ * @param {Boolean} [options.respectRobotsTxt=false]
+ *   If set to `true` then requests disallowed by `robots.txt` are skipped and its `Crawl-delay` is honored.
+ *   See `respectRobotsTxt` parameter of `BasicCrawler`.
+ * @param {RobotsTxt} [options.robotsTxt]
+ *   Instance of `RobotsTxt` used when `respectRobotsTxt` is set.
+ *   See `robotsTxt` parameter of `BasicCrawler`.
+ * @param {Boolean} [options.useSessionPool=false]
+ *   If set to `true` then each request gets a `Session` from a `SessionPool`, available as `session`
+ *   in the object passed to `handlePageFunction`. See `useSessionPool` parameter of `BasicCrawler`.
+ * @param {Object} [options.sessionPoolOptions]
+ *   Options passed to the `SessionPool` constructor. See `sessionPoolOptions` parameter of `BasicCrawler`.
+ * @param {String} [options.persistStatisticsKey]
+ *   Key-value store key under which the crawler statistics are persisted. By default they are not persisted.
+ *   See `persistStatisticsKey` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxMemoryMbytes]
+ *   Maximum memory available for crawling. See `maxMemoryMbytes` parameter of `AutoscaledPool`.
+ * @param {Number} [options.maxConcurrency=1000]
+ *   Maximum concurrency of request processing. See `maxConcurrency` parameter of `AutoscaledPool`.
+ * @param {Number} [options.minConcurrency=1]
+ *   Minimum concurrency of requests processing. See `minConcurrency` parameter of `AutoscaledPool`.
+ * @param {Number} [options.minFreeMemoryRatio=0.2]
+ *   Minimum ratio of free memory kept in the system. See `minFreeMemoryRatio` parameter of `AutoscaledPool`.
+ * @param {Function} [opts.isFinishedFunction]
+ *   By default CheerioCrawler finishes when all the requests have been processed.
+ *   You can override this behaviour by providing custom `isFinishedFunction`.
+ *   This function that is called every time there are no requests being processed.
+ *   If it resolves to `true` then the crawler's run finishes.
+ *   See `isFinishedFunction` parameter of `AutoscaledPool`.
+ * @param {Boolean} [options.ignoreMainProcess=false]
+ *   If set to `true` then the auto-scaling manager does not consider memory consumption
+ *   of the main Node.js process when scaling the pool up or down.
+ *   See `ignoreMainProcess` parameter of `AutoscaledPool`.
+ */
+export default class CheerioCrawler extends EventEmitter {
+    constructor(opts) {
+        super();
+
+        const {
+            handlePageFunction,
+            requestTimeoutMillis,
+            handlePageTimeoutMillis,
+            handleRequestTimeoutMillis,
+            ignoreSslErrors,
+            additionalMimeTypes,
+            preNavigationHooks,
+            postNavigationHooks,
+
+            // Autoscaled pool options
+            maxMemoryMbytes,
+            maxConcurrency,
+            minConcurrency,
+            minFreeMemoryRatio,
+            isFinishedFunction,
+            ignoreMainProcess,
+
+            // Basic crawler options
+            requestList,
+            requestQueue,
+            requestSources,
+            requestSourcesStrategy,
+            maxRequestRetries,
+            maxBlockedRetries,
+            retryPolicy,
+            maxRequestsPerCrawl,
+            maxCrawlDepth,
+            maxConcurrencyPerDomain,
+            minDelayBetweenRequestsPerDomainMillis,
+            respectRobotsTxt,
+            robotsTxt,
+            useSessionPool,
+            sessionPoolOptions,
+            persistStatisticsKey,
+            handleFailedRequestFunction,
+            failedRequestsDatasetName,
+            onRequestFinishedHooks,
+            onRequestFailedHooks,
+        } = _.defaults(opts, DEFAULT_OPTIONS);
+
+        checkParamOrThrow(handlePageFunction, 'opts.handlePageFunction', 'Function');
+        checkParamOrThrow(requestTimeoutMillis, 'opts.requestTimeoutMillis', 'Number');
+        checkParamOrThrow(handlePageTimeoutMillis, 'opts.handlePageTimeoutMillis', 'Number');
+        checkParamOrThrow(handleRequestTimeoutMillis, 'opts.handleRequestTimeoutMillis', 'Maybe Number');
+        checkParamOrThrow(ignoreSslErrors, 'opts.ignoreSslErrors', 'Boolean');
+        checkParamOrThrow(additionalMimeTypes, 'opts.additionalMimeTypes', '[String]');
+        checkParamOrThrow(preNavigationHooks, 'opts.preNavigationHooks', '[Function]');
+        checkParamOrThrow(postNavigationHooks, 'opts.postNavigationHooks', '[Function]');
+        checkParamOrThrow(handleFailedRequestFunction, 'opts.handleFailedRequestFunction', 'Maybe Function');
+
+        this.handlePageFunction = handlePageFunction;
+        this.requestTimeoutMillis = requestTimeoutMillis;
+        this.handlePageTimeoutMillis = handlePageTimeoutMillis;
+        this.ignoreSslErrors = ignoreSslErrors;
+        this.supportedMimeTypes = DEFAULT_MIME_TYPES.concat(additionalMimeTypes);
+        this.preNavigationHooks = preNavigationHooks;
+        this.postNavigationHooks = postNavigationHooks;
+
+        this.basicCrawler = new BasicCrawler({
+            // Basic crawler options.
+            requestList,
+            requestQueue,
+            requestSources,
+            requestSourcesStrategy,
+            maxRequestRetries,
+            maxBlockedRetries,
+            retryPolicy,
+            maxRequestsPerCrawl,
+            maxCrawlDepth,
+            maxConcurrencyPerDomain,
+            minDelayBetweenRequestsPerDomainMillis,
+            respectRobotsTxt,
+            robotsTxt,
+            useSessionPool,
+            sessionPoolOptions,
+            persistStatisticsKey,
+            handleRequestFunction: (...args) => this._handleRequestFunction(...args),
+            handleRequestTimeoutMillis: _.isNumber(handleRequestTimeoutMillis)
+                ? handleRequestTimeoutMillis
+                : this.requestTimeoutMillis + this.handlePageTimeoutMillis,
+            handleFailedRequestFunction,
+            failedRequestsDatasetName,
+            onRequestFinishedHooks,
+            onRequestFailedHooks,
+
+            // Autoscaled pool options.
+            maxMemoryMbytes,
+            maxConcurrency,
+            minConcurrency,
+            minFreeMemoryRatio,
+            isFinishedFunction,
+            ignoreMainProcess,
+        });
+
+        this.stats = this.basicCrawler.stats;
+
+        _.values(CRAWLER_EVENT_NAMES).forEach((eventName) => {
+            this.basicCrawler.on(eventName, data => this.emit(eventName, data));
+        });
+    }
+
+    /**
+     * Runs the crawler. Returns promise that gets resolved once all the requests got processed.
+     * The promise resolves to the final crawler statistics, see `Statistics.calculate()` for details.
+     *
+     * @return {Promise}
+     */
+    run() {
+        return this.basicCrawler.run();
+    }
+
+    /**
+     * Pauses the crawler. Returns a promise that gets resolved once all the requests being processed are finished.
+     * See `pause()` function of `BasicCrawler` for details.
+     *
+     * @return {Promise}
+     */
+    pause() {
+        return this.basicCrawler.pause();
+    }
+
+    /**
+     * Resumes the crawler paused by `pause()`.
+     */
+    resume() {
+        this.basicCrawler.resume();
+    }
+
+    /**
+     * Aborts the crawler and reclaims the requests being processed back to the `RequestList` or `RequestQueue`.
+     * See `abort()` function of `BasicCrawler` for details.
+     *
+     * @param {Object} [opts]
+     * @param {Boolean} [opts.drain=false]
+     *   If `true` then the crawler waits for the running requests to finish before it aborts.
+     * @return {Promise}
+     */
+    abort(opts) {
+        return this.basicCrawler.abort(opts);
+    }
+
+    /**
+     * Wrapper around handlePageFunction that downloads the page and parses its HTML.
+     *
+     * @ignore
+     */
+    _handleRequestFunction(crawlingContext) {
+        return runHooks(this.preNavigationHooks, crawlingContext)
+            .then(() => this._requestFunction(crawlingContext))
+            .then(({ html, response }) => {
+                _.extend(crawlingContext, { $: cheerio.load(html), html, response });
+            })
+            .then(() => runHooks(this.postNavigationHooks, crawlingContext))
+            .then(() => {
+                const promise = this.handlePageFunction(crawlingContext);
+
+                if (!isPromise(promise)) throw new Error('User provided handlePageFunction must return a Promise.');
+
+                // NOTE: promise might not be bluebird promise
+                return Promise
+                    .resolve(promise)
+                    .timeout(this.handlePageTimeoutMillis, 'CheerioCrawler: handlePageFunction timed out.');
+            });
+    }
+
+    /**
+     * Downloads the page given by the request, checks its content type and decodes the body.
+     * The download is aborted as soon as the response headers show an unsupported content type
+     * or when the signal gets aborted.
+     *
+     * @ignore
+     */
+    _requestFunction({ request, signal, session }) {
+        const { url, method, payload } = request;
+        const headers = session ? _.extend(getSessionHeaders(session, url), request.headers) : request.headers;
+        let req;
+
+        return new Promise((resolve, reject) => {
+            req = requestPromise({
+                url,
+                method,
+                headers,
+                proxy: session ? session.proxyUrl : undefined,
+                body: payload || undefined,
+                gzip: true,
+                timeout: this.requestTimeoutMillis,
+                strictSSL: !this.ignoreSslErrors,
+                // Body is decoded manually using the charset from the Content-Type header.
+                encoding: null,
+                resolveWithFullResponse: true,
+                simple: false,
+            });
+
+            req.on('response', (response) => {
+                const { statusCode } = response;
+                const { type } = parseContentType(response.headers['content-type']);
+
+                if (statusCode >= 500) {
+                    req.abort();
+                    return reject(new Error(`CheerioCrawler: Server responded with status code ${statusCode} (url: ${url})`));
+                }
+                if (!_.contains(this.supportedMimeTypes, type)) {
+                    req.abort();
+                    return reject(new Error(`CheerioCrawler: Content-Type ${type} is not supported (url: ${url})`));
+                }
+            });
+
+            if (signal) {
+                signal.on('abort', () => {
+                    req.abort();
+                    reject(new Error(`CheerioCrawler: request aborted (url: ${url})`));
+                });
+            }
+
+            req.then(resolve, reject);
+        })
+            .timeout(this.requestTimeoutMillis, 'CheerioCrawler: request timed out.')
+            .catch(Promise.TimeoutError, (err) => {
+                req.abort();
+                throw err;
+            })
+            .then((response) => {
+                const { encoding } = parseContentType(response.headers['content-type']);
+
+                if (session) session.setCookiesFromResponse(response);
+
+                return {
+                    html: decodeBody(response.body, encoding),
+                    response,
+                };
+            });
+    }
+}
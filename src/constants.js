@@ -19,6 +19,58 @@ consts.EXIT_CODES = {
  */
 consts.ACTOR_EVENT_NAMES.PERSIST_STATE = 'persistState';
 
+/**
+ * Events emitted by BasicCrawler, PuppeteerCrawler and CheerioCrawler.
+ */
+consts.CRAWLER_EVENT_NAMES = {
+    REQUEST_STARTED: 'requestStarted',
+    REQUEST_SUCCEEDED: 'requestSucceeded',
+    REQUEST_RETRIED: 'requestRetried',
+    REQUEST_FAILED: 'requestFailed',
+    CRAWLER_FINISHED: 'crawlerFinished',
+};
+
+/**
+ * Strategies of picking the next request from multiple `requestSources` of BasicCrawler, PuppeteerCrawler and CheerioCrawler.
+ */
+consts.REQUEST_SOURCES_STRATEGIES = {
+    WEIGHTED: 'weighted',
+    PRIORITY: 'priority',
+};
+
+/**
+ * Presets of URL patterns for `utils.puppeteer.blockRequests()`.
+ */
+consts.BLOCK_REQUESTS_PRESETS = {
+    analytics: [
+        'google-analytics.com',
+        'googletagmanager.com',
+        'hotjar.com',
+        'mixpanel.com',
+        'segment.io',
+        'cdn.segment.com',
+        'amplitude.com',
+        'fullstory.com',
+        'nr-data.net',
+        'scorecardresearch.com',
+        'connect.facebook.net',
+    ],
+    ads: [
+        'doubleclick.net',
+        'googlesyndication.com',
+        'googleadservices.com',
+        'adservice.google.com',
+        'amazon-adsystem.com',
+        'adnxs.com',
+        'criteo.com',
+        'taboola.com',
+        'outbrain.com',
+        'moatads.com',
+        'pubmatic.com',
+        'rubiconproject.com',
+    ],
+};
+
 /**
  * User-Agents from https://techblog.willshouse.com/2012/01/03/most-common-user-agents/
  *
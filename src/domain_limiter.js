@@ -0,0 +1,108 @@
+import url from 'url';
+import { checkParamOrThrow } from 'apify-client/build/utils';
+
+/**
+ * Helper function that extracts the hostname from given URL.
+ *
+ * @ignore
+ */
+export const getDomain = requestUrl => url.parse(requestUrl).hostname || '';
+
+/**
+ * Keeps track of the requests being processed for each hostname and decides
+ * whether a request to a given URL can be started without exceeding the per-domain limits.
+ *
+ * @ignore
+ */
+export default class DomainLimiter {
+    constructor(opts) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+
+        const { maxConcurrencyPerDomain, minDelayBetweenRequestsPerDomainMillis = 0 } = opts;
+
+        checkParamOrThrow(maxConcurrencyPerDomain, 'opts.maxConcurrencyPerDomain', 'Maybe Number');
+        checkParamOrThrow(minDelayBetweenRequestsPerDomainMillis, 'opts.minDelayBetweenRequestsPerDomainMillis', 'Number');
+
+        this.maxConcurrencyPerDomain = maxConcurrencyPerDomain;
+        this.minDelayBetweenRequestsPerDomainMillis = minDelayBetweenRequestsPerDomainMillis;
+
+        // Dictionary, key is hostname, value is { runningCount, lastStartedAt }.
+        this.domains = {};
+
+        // Dictionary, key is hostname, value is the minimum delay between requests specific to the hostname.
+        this.domainDelaysMillis = {};
+    }
+
+    /**
+     * Sets the minimum delay between the starts of two requests to the hostname of the given URL,
+     * e.g. from the `Crawl-delay` directive of `robots.txt`. The longer of this and the global delay is used.
+     *
+     * @param {String} requestUrl
+     * @param {Number} delayMillis
+     */
+    setDomainDelay(requestUrl, delayMillis) {
+        checkParamOrThrow(delayMillis, 'delayMillis', 'Number');
+
+        this.domainDelaysMillis[getDomain(requestUrl)] = delayMillis;
+    }
+
+    /**
+     * Returns `true` if a request to the given URL can be started right now.
+     *
+     * @param {String} requestUrl
+     * @return {Boolean}
+     */
+    isAvailable(requestUrl) {
+        const domain = getDomain(requestUrl);
+        const state = this.domains[domain];
+
+        if (!state) return true;
+        if (this.maxConcurrencyPerDomain && state.runningCount >= this.maxConcurrencyPerDomain) return false;
+
+        return Date.now() - state.lastStartedAt >= this._getDelayMillis(domain);
+    }
+
+    /**
+     * If a request to the given URL can be started then records it as running and returns `true`,
+     * otherwise returns `false`.
+     *
+     * @param {String} requestUrl
+     * @return {Boolean}
+     */
+    tryAcquire(requestUrl) {
+        if (!this.isAvailable(requestUrl)) return false;
+
+        const domain = getDomain(requestUrl);
+        const state = this.domains[domain] || { runningCount: 0, lastStartedAt: 0 };
+
+        state.runningCount++;
+        state.lastStartedAt = Date.now();
+        this.domains[domain] = state;
+
+        return true;
+    }
+
+    /**
+     * Records that a request to the given URL has finished.
+     *
+     * @param {String} requestUrl
+     */
+    release(requestUrl) {
+        const domain = getDomain(requestUrl);
+        const state = this.domains[domain];
+
+        if (!state) return;
+
+        state.runningCount--;
+
+        // Without a delay there is nothing to remember about an idle domain.
+        if (state.runningCount <= 0 && !this._getDelayMillis(domain)) delete this.domains[domain];
+    }
+
+    /**
+     * @ignore
+     */
+    _getDelayMillis(domain) {
+        return Math.max(this.minDelayBetweenRequestsPerDomainMillis, this.domainDelaysMillis[domain] || 0);
+    }
+}
@@ -15,3 +15,23 @@ export class ApifyCallError extends Error {
         Error.captureStackTrace(this, ApifyCallError);
     }
 }
+
+export const BLOCKED_REQUEST_ERROR_NAME = 'BlockedRequestError';
+
+/**
+ * Thrown by the crawlers when the website blocked the request, e.g. by responding with a captcha page.
+ * Such requests are retried without counting towards `maxRequestRetries`.
+ *
+ * @typedef {Object} BlockedRequestError
+ * @property {String} message Description of the reason why the request is considered blocked.
+ * @property {String} name=BlockedRequestError
+ * @ignore
+ */
+export class BlockedRequestError extends Error {
+    constructor(message) {
+        super(message);
+        this.name = BLOCKED_REQUEST_ERROR_NAME;
+
+        Error.captureStackTrace(this, BlockedRequestError);
+    }
+}
@@ -0,0 +1,78 @@
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import log from 'apify-shared/log';
+import _ from 'underscore';
+import { openDataset } from './dataset';
+import RequestList from './request_list';
+
+// Properties of the Request that are needed to crawl it again.
+const REQUEST_PROPERTIES = ['url', 'uniqueKey', 'method', 'payload', 'headers', 'userData', 'maxRetries', 'depth', 'referrerUrl', 'priority'];
+
+/**
+ * Stores the permanently failed request into the dataset with the given name,
+ * together with its error messages, retry count and timestamps. Errors are only logged.
+ *
+ * @param {String} datasetName
+ * @param {Request} request
+ * @param {Date} startedAt Time when the last attempt to process the request started.
+ * @return {Promise}
+ * @ignore
+ */
+export const recordFailedRequest = (datasetName, request, startedAt) => {
+    const item = _.extend(_.pick(request, REQUEST_PROPERTIES), {
+        errorMessages: request.errorMessages || [],
+        retryCount: request.retryCount,
+        startedAt,
+        failedAt: new Date(),
+    });
+
+    return openDataset(datasetName)
+        .then(dataset => dataset.pushData(item))
+        .catch((err) => {
+            log.exception(err, 'BasicCrawler: Cannot store failed request', { url: request.url, datasetName });
+        });
+};
+
+/**
+ * Creates a `RequestList` containing the failed requests recorded by a crawler
+ * using its `failedRequestsDatasetName` option, so that a follow-up run can crawl only the failures again.
+ * The requests keep their `uniqueKey`, `method`, `payload`, `headers`, `userData` and `depth`
+ * while their `retryCount` and `errorMessages` are reset.
+ *
+ * The returned list is already initialized.
+ *
+ * Example usage:
+ *
+ * ```javascript
+ * const requestList = await Apify.openFailedRequestsList('my-failed-requests', { persistStateKey: 'failed-list-state' });
+ *
+ * const crawler = new Apify.BasicCrawler({
+ *     requestList,
+ *     failedRequestsDatasetName: 'my-failed-requests-2',
+ *     handleRequestFunction: async ({ request }) => {
+ *         // ...
+ *     },
+ * });
+ * ```
+ *
+ * @param {String} datasetName Name or ID of the dataset with the failed requests.
+ * @param {Object} [options] Other options passed to the `RequestList` constructor, such as `persistStateKey`.
+ * @return {Promise<RequestList>}
+ * @memberof module:Apify
+ * @name openFailedRequestsList
+ * @instance
+ * @function
+ */
+export const openFailedRequestsList = (datasetName, options = {}) => {
+    checkParamOrThrow(datasetName, 'datasetName', 'String');
+    checkParamOrThrow(options, 'options', 'Object');
+
+    return openDataset(datasetName)
+        .then(dataset => dataset.map(item => _.pick(item, REQUEST_PROPERTIES)))
+        .then((sources) => {
+            const requestList = new RequestList(_.extend({}, options, { sources }));
+
+            return requestList
+                .initialize()
+                .then(() => requestList);
+        });
+};
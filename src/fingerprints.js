@@ -0,0 +1,164 @@
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import { getRandomInt } from 'apify-shared/utilities';
+import _ from 'underscore';
+import { USER_AGENT_LIST } from './constants';
+
+/**
+ * Fingerprint properties that must match the operating system given by the user agent.
+ *
+ * @ignore
+ */
+const PLATFORMS = {
+    windows: {
+        userAgentRegExp: /Windows NT/,
+        platform: 'Win32',
+        viewports: [{ width: 1920, height: 1080 }, { width: 1366, height: 768 }, { width: 1536, height: 864 }, { width: 1440, height: 900 }],
+        webGl: [
+            { vendor: 'Google Inc.', renderer: 'ANGLE (Intel(R) HD Graphics 620 Direct3D11 vs_5_0 ps_5_0)' },
+            { vendor: 'Google Inc.', renderer: 'ANGLE (NVIDIA GeForce GTX 1050 Ti Direct3D11 vs_5_0 ps_5_0)' },
+            { vendor: 'Google Inc.', renderer: 'ANGLE (AMD Radeon(TM) R5 Graphics Direct3D11 vs_5_0 ps_5_0)' },
+        ],
+    },
+    mac: {
+        userAgentRegExp: /Macintosh/,
+        platform: 'MacIntel',
+        viewports: [{ width: 1440, height: 900 }, { width: 1680, height: 1050 }, { width: 1280, height: 800 }],
+        webGl: [
+            { vendor: 'Intel Inc.', renderer: 'Intel Iris OpenGL Engine' },
+            { vendor: 'Intel Inc.', renderer: 'Intel(R) Iris(TM) Plus Graphics 640' },
+            { vendor: 'ATI Technologies Inc.', renderer: 'AMD Radeon Pro 555 OpenGL Engine' },
+        ],
+    },
+    linux: {
+        userAgentRegExp: /Linux/,
+        platform: 'Linux x86_64',
+        viewports: [{ width: 1920, height: 1080 }, { width: 1366, height: 768 }, { width: 1600, height: 900 }],
+        webGl: [
+            { vendor: 'Intel Open Source Technology Center', renderer: 'Mesa DRI Intel(R) HD Graphics 620 (Kaby Lake GT2)' },
+            { vendor: 'NVIDIA Corporation', renderer: 'GeForce GTX 1060 6GB/PCIe/SSE2' },
+        ],
+    },
+};
+
+/**
+ * Languages and timezones are picked together so that they make sense for the same user.
+ * The offsets are in minutes as returned by `Date.prototype.getTimezoneOffset()`.
+ *
+ * @ignore
+ */
+const LOCALES = [
+    { languages: ['en-US', 'en'], timezoneId: 'America/New_York', timezoneOffset: 300 },
+    { languages: ['en-US', 'en'], timezoneId: 'America/Chicago', timezoneOffset: 360 },
+    { languages: ['en-US', 'en'], timezoneId: 'America/Los_Angeles', timezoneOffset: 480 },
+    { languages: ['en-GB', 'en'], timezoneId: 'Europe/London', timezoneOffset: 0 },
+    { languages: ['de-DE', 'de', 'en-US', 'en'], timezoneId: 'Europe/Berlin', timezoneOffset: -60 },
+    { languages: ['fr-FR', 'fr', 'en-US', 'en'], timezoneId: 'Europe/Paris', timezoneOffset: -60 },
+];
+
+/**
+ * Plugins that Chrome reports in `navigator.plugins` on all the platforms.
+ *
+ * @ignore
+ */
+const CHROME_PLUGINS = [
+    { name: 'Chrome PDF Plugin', filename: 'internal-pdf-viewer', description: 'Portable Document Format' },
+    { name: 'Chrome PDF Viewer', filename: 'mhjfbmdgcfjbbpaeojofohoefgiehjai', description: '' },
+    { name: 'Native Client', filename: 'internal-nacl-plugin', description: '' },
+];
+
+/**
+ * Only the user agents of Chrome are used, because the others would not match the behaviour of the browser.
+ *
+ * @ignore
+ */
+const CHROME_USER_AGENTS = USER_AGENT_LIST.filter(userAgent => /Chrome\//.test(userAgent) && !/Edge\//.test(userAgent));
+
+const pickRandom = array => array[getRandomInt(array.length)];
+
+/**
+ * Generates a random but coherent browser fingerprint, i.e. the platform, viewport and WebGL vendor
+ * match the operating system given by the user agent, and the timezone matches the languages.
+ *
+ * @return {Object} Fingerprint with the `userAgent`, `platform`, `viewport`, `languages`, `timezoneId`,
+ *   `timezoneOffset`, `webGlVendor`, `webGlRenderer` and `plugins` properties.
+ * @ignore
+ */
+export const generateFingerprint = () => {
+    const userAgent = pickRandom(CHROME_USER_AGENTS);
+    const platform = _.find(PLATFORMS, ({ userAgentRegExp }) => userAgentRegExp.test(userAgent));
+    const webGl = pickRandom(platform.webGl);
+    const locale = pickRandom(LOCALES);
+
+    return {
+        userAgent,
+        platform: platform.platform,
+        viewport: _.clone(pickRandom(platform.viewports)),
+        languages: locale.languages.slice(),
+        timezoneId: locale.timezoneId,
+        timezoneOffset: locale.timezoneOffset,
+        webGlVendor: webGl.vendor,
+        webGlRenderer: webGl.renderer,
+        plugins: CHROME_PLUGINS.map(plugin => _.clone(plugin)),
+    };
+};
+
+/**
+ * Overrides the navigator, timezone and WebGL properties in the browser.
+ * The function is serialized by Puppeteer, so it must not reference anything outside of its body.
+ *
+ * @ignore
+ */
+/* istanbul ignore next */
+const overrideBrowserProperties = (fingerprint) => {
+    const defineGetter = (object, name, value) => Object.defineProperty(object, name, { configurable: true, get: () => value });
+
+    try {
+        defineGetter(Navigator.prototype, 'platform', fingerprint.platform);
+        defineGetter(Navigator.prototype, 'language', fingerprint.languages[0]);
+        defineGetter(Navigator.prototype, 'languages', Object.freeze(fingerprint.languages.slice()));
+        defineGetter(Navigator.prototype, 'plugins', fingerprint.plugins.map(({ name, filename, description }) => {
+            return Object.freeze({ name, filename, description, length: 0 });
+        }));
+
+        Date.prototype.getTimezoneOffset = () => fingerprint.timezoneOffset; // eslint-disable-line no-extend-native
+
+        const originalResolvedOptions = Intl.DateTimeFormat.prototype.resolvedOptions;
+        Intl.DateTimeFormat.prototype.resolvedOptions = function (...args) { // eslint-disable-line func-names
+            const options = originalResolvedOptions.apply(this, args);
+            options.timeZone = fingerprint.timezoneId;
+            return options;
+        };
+
+        // Constants UNMASKED_VENDOR_WEBGL and UNMASKED_RENDERER_WEBGL of the WEBGL_debug_renderer_info extension.
+        [window.WebGLRenderingContext, window.WebGL2RenderingContext].forEach((context) => {
+            if (!context) return;
+            const originalGetParameter = context.prototype.getParameter;
+            context.prototype.getParameter = function (parameter, ...args) { // eslint-disable-line func-names
+                if (parameter === 37445) return fingerprint.webGlVendor;
+                if (parameter === 37446) return fingerprint.webGlRenderer;
+                return originalGetParameter.call(this, parameter, ...args);
+            };
+        });
+    } catch (e) {
+        // Errors must not be logged, because the console is visible to the scripts of the website.
+    }
+};
+
+/**
+ * Applies the fingerprint generated by `generateFingerprint()` to a new page. The user agent, viewport
+ * and `Accept-Language` header are set using Puppeteer and the other properties are injected into every document.
+ *
+ * @param {Page} page Puppeteer [Page](https://github.com/GoogleChrome/puppeteer/blob/master/docs/api.md#class-page) object.
+ * @param {Object} fingerprint
+ * @return {Promise}
+ * @ignore
+ */
+export const applyFingerprint = async (page, fingerprint) => {
+    checkParamOrThrow(page, 'page', 'Object');
+    checkParamOrThrow(fingerprint, 'fingerprint', 'Object');
+
+    await page.setUserAgent(fingerprint.userAgent);
+    await page.setViewport(fingerprint.viewport);
+    await page.setExtraHTTPHeaders({ 'Accept-Language': fingerprint.languages.join(',') });
+    await page.evaluateOnNewDocument(overrideBrowserProperties, fingerprint);
+};
@@ -3,8 +3,10 @@ import { ENV_VARS } from './constants';
 import { main, readyFreddy, getEnv, call, getApifyProxyUrl } from './actor';
 import AutoscaledPool from './autoscaled_pool';
 import BasicCrawler from './basic_crawler';
+import CheerioCrawler from './cheerio_crawler';
 import { pushData, openDataset } from './dataset';
 import events, { initializeEvents, stopEvents } from './events';
+import { openFailedRequestsList } from './failed_requests';
 import { getValue, setValue, openKeyValueStore } from './key_value_store';
 import { launchPuppeteer } from './puppeteer';
 import PuppeteerCrawler from './puppeteer_crawler';
@@ -12,7 +14,11 @@ import PuppeteerPool from './puppeteer_pool';
 import Request from './request';
 import RequestList from './request_list';
 import { openRequestQueue } from './request_queue';
+import RobotsTxt from './robots_txt';
+import SessionPool, { Session } from './session_pool';
 import SettingsRotator from './settings_rotator';
+import Statistics from './statistics';
+import UrlTrapDetector from './url_trap_detector';
 import { apifyClient, getMemoryInfo, isProduction, isAtHome, publicUtils } from './utils';
 import { browse, launchWebDriver } from './webdriver';
 import { puppeteerUtils } from './puppeteer_utils';
@@ -55,6 +61,9 @@ module.exports = {
     // Basic crawler
     BasicCrawler,
 
+    // Cheerio crawler
+    CheerioCrawler,
+
     // Dataset
     pushData,
     openDataset,
@@ -81,10 +90,24 @@ module.exports = {
     Request,
     RequestList,
     openRequestQueue,
+    openFailedRequestsList,
+
+    // Robots.txt
+    RobotsTxt,
+
+    // Session pool
+    SessionPool,
+    Session,
 
     // Settings rotator
     SettingsRotator,
 
+    // Statistics
+    Statistics,
+
+    // URL trap detector
+    UrlTrapDetector,
+
     // Webdriver
     browse,
     launchWebDriver,
@@ -1,17 +1,134 @@
+import EventEmitter from 'events';
 import { checkParamOrThrow } from 'apify-client/build/utils';
 import log from 'apify-shared/log';
 import _ from 'underscore';
 import Promise from 'bluebird';
 import BasicCrawler from './basic_crawler';
+import { BlockedRequestError } from './errors';
+import { CRAWLER_EVENT_NAMES } from './constants';
+import { openKeyValueStore } from './key_value_store';
 import PuppeteerPool from './puppeteer_pool';
-import { isPromise } from './utils';
+import { pageRequests } from './puppeteer_utils';
+import { getRequestId } from './request_queue';
+import { isPromise, runHooks } from './utils';
 
 const DEFAULT_OPTIONS = {
     gotoFunction: ({ request, page }) => page.goto(request.url),
     pageOpsTimeoutMillis: 300000,
+    preNavigationHooks: [],
+    postNavigationHooks: [],
+    onRequestFinishedHooks: [],
+    onRequestFailedHooks: [],
+    detectBlockedResponses: false,
+    blockDetectionOptions: {},
+    saveFailureSnapshots: false,
+    failureSnapshotsStoreName: 'failure-snapshots',
+};
+
+const DEFAULT_BLOCK_DETECTION_OPTIONS = {
+    statusCodes: [403, 429],
+    titlePatterns: [/captcha/i, /access denied/i, /attention required/i],
+    bodyPatterns: [],
+    isBlockedFunction: null,
 };
 
 const PAGE_CLOSE_TIMEOUT_MILLIS = 30000;
+const FAILURE_SNAPSHOT_TIMEOUT_MILLIS = 30000;
+
+/**
+ * Resolves to the reason why the response is considered blocked or to `null` if it is not blocked.
+ *
+ * @ignore
+ */
+const detectBlockedResponse = (crawlingContext, { statusCodes, titlePatterns, bodyPatterns, isBlockedFunction }) => {
+    const { page, response } = crawlingContext;
+    const statusCode = response ? response.status() : null;
+    const findMatchingPattern = (patterns, text) => _.find(patterns, pattern => pattern.test(text));
+
+    if (_.contains(statusCodes, statusCode)) return Promise.resolve(`status code ${statusCode}`);
+
+    return Promise
+        .resolve(titlePatterns.length ? page.title() : '')
+        .then((title) => {
+            const pattern = findMatchingPattern(titlePatterns, title);
+            if (pattern) return `title matching ${pattern}`;
+
+            return Promise
+                .resolve(bodyPatterns.length ? page.content() : '')
+                .then((html) => {
+                    const bodyPattern = findMatchingPattern(bodyPatterns, html);
+                    if (bodyPattern) return `body matching ${bodyPattern}`;
+
+                    if (!isBlockedFunction) return null;
+
+                    return Promise
+                        .resolve(isBlockedFunction(crawlingContext))
+                        .then(isBlocked => (isBlocked ? 'isBlockedFunction' : null));
+                });
+        });
+};
+
+/**
+ * Saves a full-page screenshot and the HTML of the failed page into the key-value store
+ * and adds their keys to `request.userData.failureSnapshots`. Errors are only logged.
+ *
+ * @ignore
+ */
+const saveFailureSnapshot = ({ page, request }, storeName) => {
+    if (!page) return Promise.resolve();
+
+    const { retryCount } = request;
+    const keyPrefix = `SNAPSHOT-${request.id || getRequestId(request.uniqueKey)}-${retryCount}`;
+    const screenshotKey = `${keyPrefix}-screenshot`;
+    const htmlKey = `${keyPrefix}-html`;
+
+    return Promise
+        .all([
+            openKeyValueStore(storeName),
+            page.screenshot({ fullPage: true }),
+            page.content(),
+        ])
+        .spread((store, screenshot, html) => Promise.all([
+            store.setValue(screenshotKey, screenshot, { contentType: 'image/png' }),
+            store.setValue(htmlKey, html, { contentType: 'text/html; charset=utf-8' }),
+        ]))
+        .then(() => {
+            const snapshot = { retryCount, storeName, screenshotKey, htmlKey };
+
+            request.userData.failureSnapshots = (request.userData.failureSnapshots || []).concat(snapshot);
+        })
+        .timeout(FAILURE_SNAPSHOT_TIMEOUT_MILLIS, 'Operation timed out.')
+        .catch(err => log.exception(err, 'PuppeteerCrawler: Cannot save failure snapshot', { url: request.url }));
+};
+
+/**
+ * Sets the user agent and cookies of the session to the page.
+ *
+ * @ignore
+ */
+const applySession = ({ page, request, session }) => {
+    if (!session) return Promise.resolve();
+
+    const cookies = session.getPuppeteerCookies(request.url);
+
+    return Promise.all([
+        page.setUserAgent(session.userAgent),
+        cookies.length ? page.setCookie(...cookies) : null,
+    ]);
+};
+
+/**
+ * Stores the cookies of the page to the session.
+ *
+ * @ignore
+ */
+const saveSessionCookies = ({ page, request, session }) => {
+    if (!session) return Promise.resolve();
+
+    return page
+        .cookies()
+        .then(cookies => session.setPuppeteerCookies(cookies, request.url));
+};
 
 /**
  * Provides a simple framework for parallel crawling of web pages
@@ -52,34 +169,121 @@ const PAGE_CLOSE_TIMEOUT_MILLIS = 30000;
  * await crawler.run();
  * ```
  *
+ * `PuppeteerCrawler` is an `EventEmitter` that forwards the `requestStarted`, `requestSucceeded`, `requestRetried`,
+ * `requestFailed` and `crawlerFinished` events of the underlying `BasicCrawler`. See `BasicCrawler` for details.
+ *
  * @param {RequestList} [options.requestList]
  *   List of the requests to be processed.
  *   See the `requestList` parameter of `BasicCrawler` for more details.
  * @param {RequestQueue} [options.requestQueue]
  *   Queue of the requests to be processed.
  *   See the `requestQueue` parameter of `BasicCrawler` for more details.
+ * @param {Array} [options.requestSources]
+ *   Multiple request lists and queues to be processed instead of `options.requestList` and `options.requestQueue`.
+ *   See the `requestSources` parameter of `BasicCrawler` for more details.
+ * @param {String} [options.requestSourcesStrategy='weighted']
+ *   See the `requestSourcesStrategy` parameter of `BasicCrawler` for more details.
  * @param {Function} [options.handlePageFunction]
  *   Function that is called to process each request.
- *   It is passed an object with the following fields:
+ *   It is passed the crawling context, an object with the following fields:
  *   `request` is an instance of the `Request` object with details about the URL to open, HTTP method etc.
  *   `page` is an instance of the `Puppeteer.Page` class with `page.goto(request.url)` already called.
+ *   `response` is the Puppeteer's `Response` object returned by `options.gotoFunction`.
+ *   `puppeteerPool` is the instance of `PuppeteerPool` used by the crawler.
+ *   `signal` is the cancellation signal that gets aborted when the request times out,
+ *   see the `handleRequestFunction` parameter of `BasicCrawler` for details.
+ *   `session` is the `Session` used for the request if `useSessionPool` is set.
+ *   The user agent and cookies of the session are set to the page before `options.gotoFunction` is called
+ *   and the page cookies are stored back to the session after the navigation.
+ *   If the session has a `proxyUrl`, e.g. when `sessionPoolOptions.useApifyProxy` is set, the page is opened in a browser
+ *   that uses this proxy instead of the one given by `options.launchPuppeteerOptions`, see `PuppeteerPool.newPage()`.
  * @param {Number} [options.pageOpsTimeoutMillis=300000]
  *   Timeout in which the function passed as `options.handlePageFunction` needs to finish.
  * @param {Function} [options.gotoFunction=({ request, page }) => page.goto(request.url)]
  *   Overrides the function that opens the request in Puppeteer.
  *   This function should return a result of `page.goto()`, i.e. the Puppeteer's `Response` object.
- *   Note that one page is only used to process one request, and it is closed afterwards.
+ *   Note that one page is only used to process one request, and it is closed afterwards,
+ *   unless `options.reusePages` is set, in which case it is cleaned and reused for another request.
+ *   The function receives the crawling context, see `options.handlePageFunction`.
+ * @param {Boolean} [options.detectBlockedResponses=false]
+ *   If set to `true` then the response returned by `options.gotoFunction` is checked whether the website blocked the request,
+ *   see `options.blockDetectionOptions`. Blocked requests are not passed to `options.handlePageFunction`,
+ *   their browser is retired, the following browsers use a new Apify Proxy session (if `launchPuppeteerOptions.useApifyProxy` is set)
+ *   and the requests are retried without counting towards `options.maxRequestRetries`, at most `options.maxBlockedRetries` times.
+ * @param {Object} [options.blockDetectionOptions]
+ *   Defines how blocked responses are detected. The object can contain the following properties:
+ *   `statusCodes` (default `[403, 429]`) are the HTTP status codes of the blocked responses,
+ *   `titlePatterns` (default `[/captcha/i, /access denied/i, /attention required/i]`) and `bodyPatterns` (default `[]`)
+ *   are regular expressions matched against the page title and HTML,
+ *   `isBlockedFunction` is a function that receives the crawling context and returns `true`, or a promise resolving to `true`,
+ *   if the response is blocked.
+ * @param {Function[]} [options.preNavigationHooks=[]]
+ *   Functions that are called one by one before `options.gotoFunction`, e.g. to set cookies or block requests.
+ *   Each function receives the crawling context without the `response` and may return a promise.
+ * @param {Function[]} [options.postNavigationHooks=[]]
+ *   Functions that are called one by one after `options.gotoFunction` and before `options.handlePageFunction`.
+ *   Each function receives the crawling context and may return a promise.
+ * @param {Function[]} [options.onRequestFinishedHooks=[]]
+ *   Functions that are called one by one after `options.handlePageFunction` successfully finishes,
+ *   before the page is closed, or recycled if `options.reusePages` is set.
+ *   See `onRequestFinishedHooks` parameter of `BasicCrawler`.
+ * @param {Function[]} [options.onRequestFailedHooks=[]]
+ *   Functions that are called one by one every time the processing of a request fails,
+ *   before the page is closed, or recycled if `options.reusePages` is set.
+ *   Each function receives the crawling context with the `error` property set.
+ *   See `onRequestFailedHooks` parameter of `BasicCrawler`.
  * @param {Function} [options.handleFailedRequestFunction=({ request }) => log.error('Request failed', _.pick(request, 'url', 'uniqueKey'))]
  *   Function to handle requests that failed more than `option.maxRequestRetries` times. See the `handleFailedRequestFunction`
  *   parameter of `Apify.BasicCrawler` for details.
+ * @param {String} [options.failedRequestsDatasetName]
+ *   Name of the dataset where the permanently failed requests are stored.
+ *   See `failedRequestsDatasetName` parameter of `BasicCrawler`.
+ * @param {Boolean} [options.saveFailureSnapshots=false]
+ *   If set to `true` then a full-page screenshot and the HTML of the page are saved on each failed attempt,
+ *   before the page is closed or recycled. They are stored in the key-value store given by `options.failureSnapshotsStoreName`
+ *   under the keys `SNAPSHOT-[REQUEST_ID]-[RETRY_COUNT]-screenshot` and `SNAPSHOT-[REQUEST_ID]-[RETRY_COUNT]-html`.
+ *   The keys are added to the `request.userData.failureSnapshots` array as objects
+ *   `{ retryCount, storeName, screenshotKey, htmlKey }`.
+ * @param {String} [options.failureSnapshotsStoreName='failure-snapshots']
+ *   Name of the key-value store where the failure snapshots are saved.
  * @param {Number} [options.maxRequestRetries=3]
  *   Indicates how many times each request is retried if `handleRequestFunction` failed.
  *   See `maxRequestRetries` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxBlockedRetries=10]
+ *   How many times each blocked request is retried before it's handled as a regular failure.
+ *   See `maxBlockedRetries` parameter of `BasicCrawler`.
+ * @param {Object} [options.retryPolicy]
+ *   Defines the delays between retries of failed requests and which errors are retried.
+ *   See `retryPolicy` parameter of `BasicCrawler`.
  * @param {Number} [options.maxRequestsPerCrawl]
  *   Maximum number of pages that the crawler will open. The crawl will stop when this limit is reached.
  *   Always set this value in order to prevent infinite loops in misconfigured crawlers.
  *   Note that in cases of parallel crawling, the actual number of pages visited might be slightly higher than this value.
  *   See `maxRequestsPerCrawl` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxCrawlDepth]
+ *   Maximum depth of the requests to process. Deeper requests are skipped.
+ *   The requests enqueued by `utils.puppeteer.enqueueLinks()` from the page get the depth of the page's request plus one automatically.
+ *   See `maxCrawlDepth` parameter of `BasicCrawler`.
+ * @param {Number} [options.maxConcurrencyPerDomain]
+ *   Maximum number of requests to the same hostname that are processed in parallel.
+ *   See `maxConcurrencyPerDomain` parameter of `BasicCrawler`.
+ * @param {Number} [options.minDelayBetweenRequestsPerDomainMillis=0]
+ *   Minimum time between the starts of two requests to the same hostname, in milliseconds.
+ *   See `minDelayBetweenRequestsPerDomainMillis` parameter of `BasicCrawler`.
+ * @param {Boolean} [options.respectRobotsTxt=false]
+ *   If set to `true` then requests disallowed by `robots.txt` are skipped and its `Crawl-delay` is honored.
+ *   See `respectRobotsTxt` parameter of `BasicCrawler`.
+ * @param {RobotsTxt} [options.robotsTxt]
+ *   Instance of `RobotsTxt` used when `respectRobotsTxt` is set.
+ *   See `robotsTxt` parameter of `BasicCrawler`.
+ * @param {Boolean} [options.useSessionPool=false]
+ *   If set to `true` then each request gets a `Session` from a `SessionPool`, available as `session`
+ *   in the object passed to `handlePageFunction`. See `useSessionPool` parameter of `BasicCrawler`.
+ * @param {Object} [options.sessionPoolOptions]
+ *   Options passed to the `SessionPool` constructor. See `sessionPoolOptions` parameter of `BasicCrawler`.
+ * @param {String} [options.persistStatisticsKey]
+ *   Key-value store key under which the crawler statistics are persisted. By default they are not persisted.
+ *   See `persistStatisticsKey` parameter of `BasicCrawler`.
  * @param {Number} [options.maxMemoryMbytes]
  *   Maximum memory available for crawling. See `maxMemoryMbytes` parameter of `AutoscaledPool`.
  * @param {Number} [options.maxConcurrency=1000]
@@ -119,9 +323,39 @@ const PAGE_CLOSE_TIMEOUT_MILLIS = 30000;
  * @param {LaunchPuppeteerOptions} [options.launchPuppeteerOptions]
  *   Options used by `Apify.launchPuppeteer()` to start new Puppeteer instances.
  *   See `launchPuppeteerOptions` parameter of `PuppeteerPool`.
+ * @param {Boolean|Object} [options.blockResources=false]
+ *   If set, the requests for images, fonts and media, or the ones given by the `resourceTypes`, `urlPatterns`
+ *   and `presets` options of `Apify.utils.puppeteer.blockRequests()`, are aborted in all pages.
+ *   See `blockResources` parameter of `PuppeteerPool`.
+ * @param {Boolean} [options.reusePages=false]
+ *   If set to `true`, the pages are not closed after the requests are handled but cleaned and reused for the next requests.
+ *   See `reusePages` parameter of `PuppeteerPool`.
+ * @param {Number} [options.maxPageUsageCount=50]
+ *   Maximum number of requests handled by a single page when `options.reusePages` is set.
+ *   See `maxPageUsageCount` parameter of `PuppeteerPool`.
+ * @param {Boolean} [options.randomizeFingerprints=false]
+ *   If set to `true`, each browser instance uses a different random browser fingerprint.
+ *   See `randomizeFingerprints` parameter of `PuppeteerPool`.
+ * @param {String[]} [options.proxyUrls]
+ *   List of proxy URLs rotated across the browser instances, where the unhealthy proxies are temporarily excluded.
+ *   See `proxyUrls` parameter of `PuppeteerPool`.
+ * @param {SettingsRotator} [options.settingsRotator]
+ *   Instance of `SettingsRotator` that provides `launchPuppeteerOptions` for each new browser instance.
+ *   See `settingsRotator` parameter of `PuppeteerPool`.
+ * @param {String} [options.persistCookiesKey]
+ *   Key-value store key under which the cookies of the browsers are persisted and restored into the new browsers.
+ *   See `persistCookiesKey` parameter of `PuppeteerPool`.
+ * @param {Boolean} [options.persistLocalStorage=false]
+ *   If set to `true` together with `options.persistCookiesKey` then the localStorage of the pages is persisted too.
+ *   See `persistLocalStorage` parameter of `PuppeteerPool`.
+ * @param {Boolean} [options.useIncognitoPages=false]
+ *   If set to `true`, each page is opened in its own incognito browser context, so that the requests don't share cookies and cache.
+ *   See `useIncognitoPages` parameter of `PuppeteerPool`.
  */
-export default class PuppeteerCrawler {
+export default class PuppeteerCrawler extends EventEmitter {
     constructor(opts) {
+        super();
+
         // For backwards compatibility, in the future we can remove this...
         if (!opts.retireInstanceAfterRequestCount && opts.abortInstanceAfterRequestCount) {
             log.warning('PuppeteerCrawler: Parameter `abortInstanceAfterRequestCount` is deprecated! Use `retireInstanceAfterRequestCount` instead!');
@@ -132,6 +366,14 @@ export default class PuppeteerCrawler {
             handlePageFunction,
             gotoFunction,
             pageOpsTimeoutMillis,
+            preNavigationHooks,
+            postNavigationHooks,
+            onRequestFinishedHooks,
+            onRequestFailedHooks,
+            detectBlockedResponses,
+            blockDetectionOptions,
+            saveFailureSnapshots,
+            failureSnapshotsStoreName,
 
             // Autoscaled pool options
             maxMemoryMbytes,
@@ -143,9 +385,22 @@ export default class PuppeteerCrawler {
             // Basic crawler options
             requestList,
             requestQueue,
+            requestSources,
+            requestSourcesStrategy,
             maxRequestRetries,
+            maxBlockedRetries,
+            retryPolicy,
             maxRequestsPerCrawl,
+            maxCrawlDepth,
+            maxConcurrencyPerDomain,
+            minDelayBetweenRequestsPerDomainMillis,
+            respectRobotsTxt,
+            robotsTxt,
+            useSessionPool,
+            sessionPoolOptions,
+            persistStatisticsKey,
             handleFailedRequestFunction,
+            failedRequestsDatasetName,
 
             // Puppeteer Pool options
             maxOpenPagesPerInstance,
@@ -154,15 +409,44 @@ export default class PuppeteerCrawler {
             killInstanceAfterMillis,
             launchPuppeteerFunction,
             launchPuppeteerOptions,
+            blockResources,
+            reusePages,
+            maxPageUsageCount,
+            randomizeFingerprints,
+            proxyUrls,
+            settingsRotator,
+            persistCookiesKey,
+            persistLocalStorage,
+            useIncognitoPages,
         } = _.defaults(opts, DEFAULT_OPTIONS);
 
         checkParamOrThrow(handlePageFunction, 'opts.handlePageFunction', 'Function');
         checkParamOrThrow(handleFailedRequestFunction, 'opts.handleFailedRequestFunction', 'Maybe Function');
         checkParamOrThrow(gotoFunction, 'opts.gotoFunction', 'Function');
+        checkParamOrThrow(preNavigationHooks, 'opts.preNavigationHooks', '[Function]');
+        checkParamOrThrow(postNavigationHooks, 'opts.postNavigationHooks', '[Function]');
+        checkParamOrThrow(onRequestFinishedHooks, 'opts.onRequestFinishedHooks', '[Function]');
+        checkParamOrThrow(onRequestFailedHooks, 'opts.onRequestFailedHooks', '[Function]');
+        checkParamOrThrow(detectBlockedResponses, 'opts.detectBlockedResponses', 'Boolean');
+        checkParamOrThrow(blockDetectionOptions, 'opts.blockDetectionOptions', 'Object');
+        checkParamOrThrow(blockDetectionOptions.statusCodes, 'opts.blockDetectionOptions.statusCodes', 'Maybe [Number]');
+        checkParamOrThrow(blockDetectionOptions.titlePatterns, 'opts.blockDetectionOptions.titlePatterns', 'Maybe [RegExp]');
+        checkParamOrThrow(blockDetectionOptions.bodyPatterns, 'opts.blockDetectionOptions.bodyPatterns', 'Maybe [RegExp]');
+        checkParamOrThrow(blockDetectionOptions.isBlockedFunction, 'opts.blockDetectionOptions.isBlockedFunction', 'Maybe Function');
+        checkParamOrThrow(saveFailureSnapshots, 'opts.saveFailureSnapshots', 'Boolean');
+        checkParamOrThrow(failureSnapshotsStoreName, 'opts.failureSnapshotsStoreName', 'String');
 
         this.handlePageFunction = handlePageFunction;
         this.gotoFunction = gotoFunction;
         this.pageOpsTimeoutMillis = pageOpsTimeoutMillis;
+        this.preNavigationHooks = preNavigationHooks;
+        this.postNavigationHooks = postNavigationHooks;
+        this.onRequestFinishedHooks = onRequestFinishedHooks;
+        this.onRequestFailedHooks = onRequestFailedHooks;
+        this.blockDetectionOptions = detectBlockedResponses
+            ? _.defaults({}, blockDetectionOptions, DEFAULT_BLOCK_DETECTION_OPTIONS)
+            : null;
+        this.failureSnapshotsStoreName = saveFailureSnapshots ? failureSnapshotsStoreName : null;
 
         this.puppeteerPool = new PuppeteerPool({
             maxOpenPagesPerInstance,
@@ -171,16 +455,40 @@ export default class PuppeteerCrawler {
             killInstanceAfterMillis,
             launchPuppeteerFunction,
             launchPuppeteerOptions,
+            blockResources,
+            reusePages,
+            maxPageUsageCount,
+            randomizeFingerprints,
+            proxyUrls,
+            settingsRotator,
+            persistCookiesKey,
+            persistLocalStorage,
+            useIncognitoPages,
         });
 
         this.basicCrawler = new BasicCrawler({
             // Basic crawler options.
             requestList,
             requestQueue,
+            requestSources,
+            requestSourcesStrategy,
             maxRequestRetries,
+            maxBlockedRetries,
+            retryPolicy,
             maxRequestsPerCrawl,
+            maxCrawlDepth,
+            maxConcurrencyPerDomain,
+            minDelayBetweenRequestsPerDomainMillis,
+            respectRobotsTxt,
+            robotsTxt,
+            useSessionPool,
+            sessionPoolOptions,
+            persistStatisticsKey,
             handleRequestFunction: (...args) => this._handleRequestFunction(...args),
+            handleRequestTimeoutMillis: this.pageOpsTimeoutMillis + PAGE_CLOSE_TIMEOUT_MILLIS
+                + (saveFailureSnapshots ? FAILURE_SNAPSHOT_TIMEOUT_MILLIS : 0),
             handleFailedRequestFunction,
+            failedRequestsDatasetName,
 
             // Autoscaled pool options.
             maxMemoryMbytes,
@@ -190,10 +498,17 @@ export default class PuppeteerCrawler {
             isFinishedFunction,
             ignoreMainProcess: true,
         });
+
+        this.stats = this.basicCrawler.stats;
+
+        _.values(CRAWLER_EVENT_NAMES).forEach((eventName) => {
+            this.basicCrawler.on(eventName, data => this.emit(eventName, data));
+        });
     }
 
     /**
      * Runs the crawler. Returns promise that gets resolved once all the requests got processed.
+     * The promise resolves to the final crawler statistics, see `Statistics.calculate()` for details.
      *
      * @return {Promise}
      */
@@ -202,38 +517,116 @@ export default class PuppeteerCrawler {
             .finally(() => this.puppeteerPool.destroy());
     }
 
+    /**
+     * Pauses the crawler. Returns a promise that gets resolved once all the requests being processed are finished.
+     * See `pause()` function of `BasicCrawler` for details.
+     *
+     * @return {Promise}
+     */
+    pause() {
+        return this.basicCrawler.pause();
+    }
+
+    /**
+     * Resumes the crawler paused by `pause()`.
+     */
+    resume() {
+        this.basicCrawler.resume();
+    }
+
+    /**
+     * Aborts the crawler and reclaims the requests being processed back to the `RequestList` or `RequestQueue`.
+     * See `abort()` function of `BasicCrawler` for details.
+     *
+     * @param {Object} [opts]
+     * @param {Boolean} [opts.drain=false]
+     *   If `true` then the crawler waits for the running requests to finish before it aborts.
+     * @return {Promise}
+     */
+    abort(opts) {
+        return this.basicCrawler.abort(opts);
+    }
+
     /**
      * Wrapper around handlePageFunction that opens and closes pages etc.
      *
      * @ignore
      */
-    _handleRequestFunction({ request }) {
-        let page;
+    _handleRequestFunction(crawlingContext) {
+        crawlingContext.puppeteerPool = this.puppeteerPool;
 
+        const { session } = crawlingContext;
         const handlePagePromise = this.puppeteerPool
-            .newPage()
-            .then((newPage) => { page = newPage; })
-            .then(() => this.gotoFunction({ page, request, puppeteerPool: this.puppeteerPool }))
+            .newPage({ proxyUrl: session ? session.proxyUrl : null })
+            .then((page) => {
+                crawlingContext.page = page;
+                pageRequests.set(page, crawlingContext.request);
+            })
+            .then(() => applySession(crawlingContext))
+            .then(() => runHooks(this.preNavigationHooks, crawlingContext))
+            .then(() => {
+                return Promise
+                    .resolve(this.gotoFunction(crawlingContext))
+                    .tapCatch(() => this.puppeteerPool.reportProxyError(crawlingContext.page));
+            })
             .then((response) => {
-                const promise = this.handlePageFunction({
-                    page,
-                    request,
-                    puppeteerPool: this.puppeteerPool,
-                    response,
-                });
+                this.puppeteerPool.reportProxySuccess(crawlingContext.page);
+                crawlingContext.response = response;
+            })
+            .then(() => saveSessionCookies(crawlingContext))
+            .then(() => this._throwIfBlocked(crawlingContext))
+            .then(() => runHooks(this.postNavigationHooks, crawlingContext))
+            .then(() => {
+                const promise = this.handlePageFunction(crawlingContext);
 
                 if (!isPromise(promise)) throw new Error('User provided handlePageFunction must return a Promise.');
 
                 return promise;
-            });
+            })
+            .then(() => runHooks(this.onRequestFinishedHooks, crawlingContext));
 
         return handlePagePromise
             .timeout(this.pageOpsTimeoutMillis, 'PuppeteerCrawler: handlePageFunction timed out.')
+            .catch((error) => {
+                crawlingContext.error = error;
+
+                return Promise
+                    .resolve(this.failureSnapshotsStoreName ? saveFailureSnapshot(crawlingContext, this.failureSnapshotsStoreName) : null)
+                    .then(() => runHooks(this.onRequestFailedHooks, crawlingContext))
+                    .catch(err => log.exception(err, 'PuppeteerCrawler: onRequestFailedHooks failed', { url: crawlingContext.request.url }))
+                    .then(() => { throw error; });
+            })
             .finally(() => {
+                if (crawlingContext.page) pageRequests.delete(crawlingContext.page);
+
                 return Promise
-                    .try(() => page.close())
+                    .try(() => this.puppeteerPool.recyclePage(crawlingContext.page))
                     .timeout(PAGE_CLOSE_TIMEOUT_MILLIS, 'Operation timed out.')
                     .catch(err => log.debug('PuppeteerCrawler: Page.close() failed.', { reason: err ? err.message : err }));
             });
     }
+
+    /**
+     * Throws BlockedRequestError and retires the browser if the response is blocked.
+     *
+     * @ignore
+     */
+    _throwIfBlocked(crawlingContext) {
+        if (!this.blockDetectionOptions) return Promise.resolve();
+
+        const { page, request } = crawlingContext;
+
+        return detectBlockedResponse(crawlingContext, this.blockDetectionOptions)
+            .then((reason) => {
+                if (!reason) return;
+
+                log.warning('PuppeteerCrawler: request blocked, retiring the browser', { url: request.url, reason });
+
+                return this.puppeteerPool
+                    .retire(page.browser(), { rotateProxySession: true })
+                    .then(() => {
+                        throw new BlockedRequestError(`PuppeteerCrawler: Request blocked, ${reason} (url: ${request.url})`);
+                    });
+            });
+    }
 }
@@ -2,9 +2,21 @@ import _ from 'underscore';
 import log from 'apify-shared/log';
 import Promise from 'bluebird';
 import { checkParamOrThrow } from 'apify-client/build/utils';
+import { checkParamPrototypeOrThrow, cryptoRandomObjectId } from 'apify-shared/utilities';
+import { redactUrl } from 'proxy-chain';
+import { ACTOR_EVENT_NAMES } from './constants';
+import events from './events';
+import { generateFingerprint, applyFingerprint } from './fingerprints';
+import { getValue, setValue } from './key_value_store';
 import { launchPuppeteer } from './puppeteer';
+import { puppeteerUtils } from './puppeteer_utils';
+import SettingsRotator from './settings_rotator';
 
 const PROCESS_KILL_TIMEOUT_MILLIS = 5000;
+const PAGE_CLEANUP_TIMEOUT_MILLIS = 10000;
+const PROXY_MAX_ERROR_COUNT = 3;
+const PROXY_EXCLUSION_MILLIS = 60 * 1000;
+const MAX_PERSISTED_STATES = 100;
 
 const DEFAULT_OPTIONS = {
     // Don't make these too large, otherwise Puppeteer might start crashing weirdly,
@@ -16,7 +28,13 @@ const DEFAULT_OPTIONS = {
     instanceKillerIntervalMillis: 60 * 1000,
     killInstanceAfterMillis: 5 * 60 * 1000,
 
-    // TODO: use settingsRotator()
+    blockResources: false,
+    reusePages: false,
+    maxPageUsageCount: 50,
+    randomizeFingerprints: false,
+    persistLocalStorage: false,
+    useIncognitoPages: false,
+
     launchPuppeteerFunction: launchPuppeteerOptions => launchPuppeteer(launchPuppeteerOptions),
 };
 
@@ -34,9 +52,131 @@ class PuppeteerInstance {
         this.lastPageOpenedAt = Date.now();
         this.killed = false;
         this.childProcess = null;
+        this.idlePages = [];
+        this.fingerprint = null;
+        this.proxyUrl = null;
+        this.settings = null;
+        this.persistedStateKey = null;
+        this.cookiesRestoredPromise = null;
+        this.localStorage = {}; // Key is origin, value is the content of the page's localStorage.
     }
 }
 
+/**
+ * Opens a new page in its own incognito browser context, which is closed together with the page.
+ *
+ * @ignore
+ */
+const newIncognitoPage = (browser) => {
+    return Promise
+        .resolve(browser.createIncognitoBrowserContext())
+        .then((context) => {
+            const closeContext = () => Promise
+                .resolve(context.close())
+                .catch(err => log.debug('PuppeteerPool: BrowserContext.close() failed.', { reason: err ? err.message : err }));
+
+            return Promise
+                .resolve(context.newPage())
+                .then((page) => {
+                    page.once('close', closeContext);
+
+                    return page;
+                })
+                .catch((err) => {
+                    closeContext();
+                    throw err;
+                });
+        });
+};
+
+/**
+ * Returns the key under which the cookies of the browser launched with the given options are persisted,
+ * so that each proxy session gets its own cookies.
+ *
+ * @ignore
+ */
+const getPersistedStateKey = (launchPuppeteerOptions) => {
+    const { useApifyProxy, apifyProxySession, proxyUrl } = launchPuppeteerOptions || {};
+
+    if (useApifyProxy) return apifyProxySession ? `apify-proxy-${apifyProxySession}` : 'apify-proxy';
+    if (proxyUrl) return redactUrl(proxyUrl);
+
+    return 'no-proxy';
+};
+
+/**
+ * Restores the localStorage items persisted for the origin of the document.
+ * The function is serialized by Puppeteer, so it must not reference anything outside of its body.
+ *
+ * @ignore
+ */
+/* istanbul ignore next */
+const restoreLocalStorage = (localStorageByOrigin) => {
+    try {
+        const items = localStorageByOrigin[window.location.origin];
+
+        if (!items || window.sessionStorage.getItem('apify-local-storage-restored')) return;
+
+        Object.keys(items).forEach((key) => {
+            if (window.localStorage.getItem(key) === null) window.localStorage.setItem(key, items[key]);
+        });
+        window.sessionStorage.setItem('apify-local-storage-restored', '1');
+    } catch (e) {
+        // Storage is not available e.g. on about:blank.
+    }
+};
+
+/**
+ * Returns the origin of the page and the content of its localStorage.
+ *
+ * @ignore
+ */
+/* istanbul ignore next */
+const getLocalStorage = () => {
+    const items = {};
+
+    try {
+        Object.keys(window.localStorage).forEach((key) => { items[key] = window.localStorage.getItem(key); });
+    } catch (e) {
+        // Storage is not available e.g. on about:blank.
+    }
+
+    return { origin: window.location.origin, items };
+};
+
+/**
+ * Clears the cookies and storage of the page's current origin, removes all the listeners,
+ * disables request interception and navigates the page to `about:blank`, so that it can be reused.
+ * The cookies and storage are kept if `keepStorage` is set, e.g. when they are persisted.
+ *
+ * @ignore
+ */
+const cleanPage = (page, keepStorage) => {
+    /* istanbul ignore next */
+    const clearStorage = () => {
+        try {
+            window.localStorage.clear();
+            window.sessionStorage.clear();
+        } catch (err) {
+            // Storage is not available e.g. on about:blank.
+        }
+    };
+
+    page.removeAllListeners();
+
+    const clearStoragePromise = keepStorage
+        ? Promise.resolve()
+        : Promise
+            .resolve(page.cookies())
+            .then(cookies => page.deleteCookie(...cookies))
+            .then(() => page.evaluate(clearStorage));
+
+    return clearStoragePromise
+        .then(() => page.setRequestInterception(false))
+        .then(() => page.goto('about:blank'))
+        .timeout(PAGE_CLEANUP_TIMEOUT_MILLIS, 'Operation timed out.');
+};
+
 /**
  * Manages a pool of Chrome browser instances controlled by [Puppeteer](https://github.com/GoogleChrome/puppeteer).
  * `PuppeteerPool` rotates Chrome instances to change proxies
@@ -82,6 +222,43 @@ class PuppeteerInstance {
  *   Overrides the default function to launch a new `Puppeteer` instance.
  * @param {LaunchPuppeteerOptions} [options.launchPuppeteerOptions]
  *   Options used by `Apify.launchPuppeteer()` to start new Puppeteer instances.
+ * @param {String[]} [options.proxyUrls]
+ *   List of proxy URLs. Each new browser instance uses the next proxy from the list as the `proxyUrl`
+ *   option of `Apify.launchPuppeteer()`. A proxy is excluded from the rotation for a minute if the browser fails to start with it,
+ *   or if the navigation fails 3 times in a row, see `reportProxyError()`. Cannot be combined with `options.settingsRotator`,
+ *   `launchPuppeteerOptions.proxyUrl` or `launchPuppeteerOptions.useApifyProxy`.
+ * @param {SettingsRotator} [options.settingsRotator]
+ *   Instance of `SettingsRotator` whose settings extend `options.launchPuppeteerOptions` for each new browser instance,
+ *   e.g. `{ proxyUrl, userAgent }`. The settings are reclaimed once the browser is killed.
+ * @param {String} [options.persistCookiesKey]
+ *   Key-value store key under which the cookies of the browsers are persisted, so that e.g. the logged-in state
+ *   survives the retirement of the browsers and actor restarts. The cookies of a browser are saved when it's retired,
+ *   on each `persistState` event and by `destroy()`, and restored into the new browsers that use the same proxy session,
+ *   i.e. the same `apifyProxySession` or `proxyUrl`. Only the cookies of the 100 most recently saved proxy sessions are kept.
+ * @param {Boolean} [options.persistLocalStorage=false]
+ *   If set to `true` together with `options.persistCookiesKey` then the localStorage of the pages passed to `recyclePage()`
+ *   is persisted too and restored in the new pages.
+ * @param {Boolean} [options.useIncognitoPages=false]
+ *   If set to `true` then each page is opened in its own incognito browser context, so that the pages don't share cookies,
+ *   cache and storage. The context is closed when the page is closed. Cannot be combined with `options.reusePages`
+ *   or `options.persistCookiesKey`.
+ * @param {Boolean} [options.reusePages=false]
+ *   If set to `true` then the pages passed to `recyclePage()` are not closed but kept open and returned by `newPage()` again,
+ *   which saves the cost of opening new tabs. Before a page is reused, the listeners are removed, request interception
+ *   is disabled, the cookies and storage of its current website are cleared and the page is navigated to `about:blank`.
+ *   The cookies and storage are not cleared if `options.persistCookiesKey` is set, as they belong to the persisted session.
+ *   Note that the other pages of the same browser share the cookies.
+ * @param {Number} [options.maxPageUsageCount=50]
+ *   Maximum number of times a single page is returned by `newPage()` when `options.reusePages` is set.
+ *   After that the page is closed by `recyclePage()`.
+ * @param {Boolean} [options.randomizeFingerprints=false]
+ *   If set to `true` then a random but coherent browser fingerprint is generated for each browser instance
+ *   and applied to all its pages. The fingerprint consists of the user agent from the list of the most common ones,
+ *   the matching `navigator.platform`, viewport and WebGL vendor, the languages and timezone and the plugins.
+ * @param {Boolean|Object} [options.blockResources=false]
+ *   If set, `Apify.utils.puppeteer.blockRequests()` is called for each new page to abort the requests
+ *   for images, fonts and media. The value can also be an object with the `resourceTypes`, `urlPatterns` and `presets`
+ *   options of `blockRequests()`. The total number of blocked requests is logged when the pool is destroyed.
  */
 export default class PuppeteerPool {
     constructor(opts = {}) {
@@ -100,6 +277,15 @@ export default class PuppeteerPool {
             instanceKillerIntervalMillis,
             killInstanceAfterMillis,
             launchPuppeteerOptions,
+            blockResources,
+            reusePages,
+            maxPageUsageCount,
+            randomizeFingerprints,
+            proxyUrls,
+            settingsRotator,
+            persistCookiesKey,
+            persistLocalStorage,
+            useIncognitoPages,
         } = _.defaults(opts, DEFAULT_OPTIONS);
 
         checkParamOrThrow(maxOpenPagesPerInstance, 'opts.maxOpenPagesPerInstance', 'Number');
@@ -108,34 +294,109 @@ export default class PuppeteerPool {
         checkParamOrThrow(instanceKillerIntervalMillis, 'opts.instanceKillerIntervalMillis', 'Number');
         checkParamOrThrow(killInstanceAfterMillis, 'opts.killInstanceAfterMillis', 'Number');
         checkParamOrThrow(launchPuppeteerOptions, 'opts.launchPuppeteerOptions', 'Maybe Object');
+        checkParamOrThrow(blockResources, 'opts.blockResources', 'Boolean | Object');
+        checkParamOrThrow(reusePages, 'opts.reusePages', 'Boolean');
+        checkParamOrThrow(maxPageUsageCount, 'opts.maxPageUsageCount', 'Number');
+        checkParamOrThrow(randomizeFingerprints, 'opts.randomizeFingerprints', 'Boolean');
+        checkParamOrThrow(proxyUrls, 'opts.proxyUrls', 'Maybe [String]');
+        checkParamOrThrow(persistCookiesKey, 'opts.persistCookiesKey', 'Maybe String');
+        checkParamOrThrow(persistLocalStorage, 'opts.persistLocalStorage', 'Boolean');
+        checkParamOrThrow(useIncognitoPages, 'opts.useIncognitoPages', 'Boolean');
+        if (settingsRotator) checkParamPrototypeOrThrow(settingsRotator, 'opts.settingsRotator', SettingsRotator, 'Apify.SettingsRotator');
+
+        if (proxyUrls) {
+            if (!proxyUrls.length) throw new Error('Parameter "opts.proxyUrls" must not be empty!');
+            if (settingsRotator) throw new Error('Cannot combine "opts.proxyUrls" with "opts.settingsRotator"!');
+            if (launchPuppeteerOptions && (launchPuppeteerOptions.proxyUrl || launchPuppeteerOptions.useApifyProxy)) {
+                throw new Error('Cannot combine "opts.proxyUrls" with "opts.launchPuppeteerOptions.proxyUrl" or '
+                    + '"opts.launchPuppeteerOptions.useApifyProxy"!');
+            }
+        }
+
+        if (useIncognitoPages && reusePages) throw new Error('Cannot combine "opts.useIncognitoPages" with "opts.reusePages"!');
+        if (useIncognitoPages && persistCookiesKey) throw new Error('Cannot combine "opts.useIncognitoPages" with "opts.persistCookiesKey"!');
 
         // Config.
         this.maxOpenPagesPerInstance = maxOpenPagesPerInstance;
         this.retireInstanceAfterRequestCount = retireInstanceAfterRequestCount;
         this.killInstanceAfterMillis = killInstanceAfterMillis;
-        this.launchPuppeteerFunction = () => launchPuppeteerFunction(launchPuppeteerOptions);
+        this.launchPuppeteerOptions = launchPuppeteerOptions;
+        this.launchPuppeteerFunction = launchPuppeteerFunction;
+        this.blockRequestsOptions = blockResources === true ? {} : blockResources || null;
+        this.reusePages = reusePages;
+        this.maxPageUsageCount = maxPageUsageCount;
+        this.randomizeFingerprints = randomizeFingerprints;
+        this.settingsRotator = settingsRotator || null;
+        this.persistCookiesKey = persistCookiesKey;
+        this.persistLocalStorage = persistLocalStorage;
+        this.useIncognitoPages = useIncognitoPages;
 
         // State.
         this.browserCounter = 0;
         this.activeInstances = {};
         this.retiredInstances = {};
+        this.apifyProxySession = null;
+        this.blockedRequestsCount = 0;
+        this.pagesInfo = new WeakMap(); // Key is Puppeteer.Page, value is { instance, usageCount }.
+        this.proxies = proxyUrls ? proxyUrls.map(url => ({ url, errorCount: 0, excludedUntil: 0 })) : null;
+        this.nextProxyIndex = 0;
+        this.persistedState = null; // Key is the key returned by getPersistedStateKey(), value is { cookies, localStorage }.
+        this.persistedStatePromise = null;
         this.instanceKillerInterval = setInterval(() => this._killRetiredInstances(), instanceKillerIntervalMillis);
 
         // ensure termination on SIGINT
         this.sigintListener = () => this._killAllInstances();
         process.on('SIGINT', this.sigintListener);
+
+        this.persistStateListener = () => this.persistState();
+        if (this.persistCookiesKey) events.on(ACTOR_EVENT_NAMES.PERSIST_STATE, this.persistStateListener);
     }
 
     /**
-     * Launches new browser instance.
+     * Returns the options for a new browser instance. If the proxy session was rotated
+     * then the new Apify Proxy session overrides the one from `launchPuppeteerOptions`.
      *
      * @ignore
      */
-    _launchInstance() {
+    _getLaunchPuppeteerOptions() {
+        const { launchPuppeteerOptions, apifyProxySession } = this;
+
+        if (!apifyProxySession || !launchPuppeteerOptions || !launchPuppeteerOptions.useApifyProxy) return launchPuppeteerOptions;
+
+        return _.extend({}, launchPuppeteerOptions, { apifyProxySession });
+    }
+
+    /**
+     * Launches new browser instance. If `requestedProxyUrl` is given then it overrides the proxy
+     * of `launchPuppeteerOptions`, `proxyUrls` and `settingsRotator`.
+     *
+     * @ignore
+     */
+    _launchInstance(requestedProxyUrl) {
         const id = this.browserCounter++;
-        const browserPromise = this.launchPuppeteerFunction();
+        const settings = this.settingsRotator ? this.settingsRotator.fetchSettings() : null;
+        const proxyUrl = this.proxies && !requestedProxyUrl ? this._getNextProxyUrl() : null;
+        let launchPuppeteerOptions = settings || proxyUrl
+            ? _.extend({}, this._getLaunchPuppeteerOptions(), settings, proxyUrl ? { proxyUrl } : null)
+            : this._getLaunchPuppeteerOptions();
+
+        if (requestedProxyUrl) {
+            launchPuppeteerOptions = _.extend(
+                _.omit(launchPuppeteerOptions, 'useApifyProxy', 'apifyProxySession', 'apifyProxyGroups'),
+                { proxyUrl: requestedProxyUrl },
+            );
+        }
+
+        const browserPromise = this.launchPuppeteerFunction(launchPuppeteerOptions);
         const instance = new PuppeteerInstance(id, browserPromise);
 
+        instance.proxyUrl = proxyUrl;
+        instance.requestedProxyUrl = requestedProxyUrl || null;
+        instance.settings = settings;
+        instance.persistedStateKey = getPersistedStateKey(launchPuppeteerOptions);
+
+        if (this.randomizeFingerprints) instance.fingerprint = generateFingerprint();
+
         instance
             .browserPromise
             .then((browser) => {
@@ -144,19 +405,13 @@ export default class PuppeteerPool {
                     if (!instance.killed) log.error('PuppeteerPool: Puppeteer sent "disconnect" event. Crashed???', { id });
                     this._retireInstance(instance);
                 });
-                // This one is done manually in Puppeteerpool.newPage() to happen immediately.
-                // browser.on('targetcreated', () => instance.activePages++);
-                browser.on('targetdestroyed', () => {
-                    instance.activePages--;
-
-                    if (instance.activePages === 0 && this.retiredInstances[id]) this._killInstance(instance);
-                });
-
                 instance.childProcess = browser.process();
             })
             .catch((err) => {
                 log.exception(err, 'PuppeteerPool: Browser start failed', { id });
 
+                if (proxyUrl) this._excludeProxy(proxyUrl);
+
                 return this._retireInstance(instance);
             });
 
@@ -165,6 +420,42 @@ export default class PuppeteerPool {
         return instance;
     }
 
+    /**
+     * Returns the next proxy URL in the rotation that is not excluded. If all the proxies are excluded
+     * then the one whose exclusion expires first is returned.
+     *
+     * @ignore
+     */
+    _getNextProxyUrl() {
+        const now = Date.now();
+        const count = this.proxies.length;
+        const rotated = _.range(count).map(index => this.proxies[(this.nextProxyIndex + index) % count]);
+        let proxy = _.find(rotated, ({ excludedUntil }) => excludedUntil <= now);
+
+        if (!proxy) {
+            log.warning('PuppeteerPool: All the proxies are excluded as unhealthy, using the one whose exclusion expires first.');
+            proxy = _.min(this.proxies, ({ excludedUntil }) => excludedUntil);
+        }
+
+        this.nextProxyIndex = (this.proxies.indexOf(proxy) + 1) % count;
+
+        return proxy.url;
+    }
+
+    /**
+     * Temporarily excludes the proxy from the rotation.
+     *
+     * @ignore
+     */
+    _excludeProxy(proxyUrl) {
+        const proxy = _.findWhere(this.proxies, { url: proxyUrl });
+
+        log.warning('PuppeteerPool: Excluding unhealthy proxy from the rotation', { proxyUrl: redactUrl(proxyUrl) });
+
+        proxy.errorCount = 0;
+        proxy.excludedUntil = Date.now() + PROXY_EXCLUSION_MILLIS;
+    }
+
     /**
      * Retires some of the instances for example due to many uses.
      *
@@ -179,6 +470,16 @@ export default class PuppeteerPool {
 
         this.retiredInstances[id] = instance;
         delete this.activeInstances[id];
+
+        if (this.persistCookiesKey) this._persistInstancesState([instance]);
+
+        // Idle pages must be closed so that the browser gets killed once its last page is closed.
+        instance.idlePages.forEach((page) => {
+            Promise
+                .try(() => page.close())
+                .catch(err => log.debug('PuppeteerPool: Page.close() failed.', { reason: err ? err.message : err }));
+        });
+        instance.idlePages = [];
     }
 
     /**
@@ -189,6 +490,13 @@ export default class PuppeteerPool {
      * @ignore
      */
     _killRetiredInstances() {
+        // Browsers of the requested proxies, e.g. of the sessions that are not used anymore, are retired once they are idle.
+        _.mapObject(this.activeInstances, (instance) => {
+            const isIdle = instance.activePages === 0 && Date.now() - instance.lastPageOpenedAt > this.killInstanceAfterMillis;
+
+            if (instance.requestedProxyUrl && isIdle) this._retireInstance(instance);
+        });
+
         log.debug('PuppeteerPool: retired browsers count', { count: _.values(this.retiredInstances).length });
 
         _.mapObject(this.retiredInstances, (instance) => {
@@ -219,6 +527,11 @@ export default class PuppeteerPool {
 
         delete this.retiredInstances[id];
 
+        if (instance.settings) {
+            this.settingsRotator.reclaimSettings(instance.settings);
+            instance.settings = null;
+        }
+
         // Ensure that Chrome process will be really killed.
         setTimeout(() => {
             // This is here because users reported that it happened
@@ -257,18 +570,31 @@ export default class PuppeteerPool {
     /**
      * Opens new tab in one of the browsers and returns promise that resolves to its Puppeteer.Page.
      *
+     * @param {Object} [opts]
+     * @param {String} [opts.proxyUrl] Proxy URL the browser of the page must use, e.g. the `proxyUrl` of a `Session`.
+     *   The page is opened in a browser launched with this proxy, which overrides the proxy given by `options.launchPuppeteerOptions`,
+     *   `options.proxyUrls` or `options.settingsRotator`. Such browsers are retired once they are idle for `options.killInstanceAfterMillis`.
      * @return {Promise<Puppeteer.Page>}
      */
-    newPage() {
+    newPage(opts = {}) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+        checkParamOrThrow(opts.proxyUrl, 'opts.proxyUrl', 'Maybe String');
+
+        const requestedProxyUrl = opts.proxyUrl || null;
+        const isMatchingInstance = inst => inst.requestedProxyUrl === requestedProxyUrl;
+        const idlePageInstance = _.find(this.activeInstances, inst => isMatchingInstance(inst) && inst.idlePages.length > 0);
+
+        if (idlePageInstance) return this._reuseIdlePage(idlePageInstance);
+
         let instance;
 
         _.mapObject(this.activeInstances, (inst) => {
-            if (inst.activePages >= this.maxOpenPagesPerInstance) return;
+            if (!isMatchingInstance(inst) || inst.activePages >= this.maxOpenPagesPerInstance) return;
 
             instance = inst;
         });
 
-        if (!instance) instance = this._launchInstance();
+        if (!instance) instance = this._launchInstance(requestedProxyUrl);
 
         instance.lastPageOpenedAt = Date.now();
         instance.totalPages++;
@@ -277,17 +603,16 @@ export default class PuppeteerPool {
         if (instance.totalPages >= this.retireInstanceAfterRequestCount) this._retireInstance(instance);
 
         return instance.browserPromise
-            .then(browser => browser.newPage())
+            .then(browser => (this.useIncognitoPages ? newIncognitoPage(browser) : browser.newPage()))
             .then((page) => {
-                page.on('error', (error) => {
-                    log.exception(error, 'PuppeteerPool: page crashed');
-                    // Ignore errors from Page.close()
-                    page.close();
-                });
-
-                // TODO: log console messages page.on('console', message => log.debug(`Chrome console: ${message.text}`));
-
-                return page;
+                this.pagesInfo.set(page, { instance, usageCount: 1 });
+                this._watchPageClose(page, instance);
+
+                // Fingerprint and persisted state are applied only once as they persist when the page is reused.
+                return Promise
+                    .resolve(instance.fingerprint ? applyFingerprint(page, instance.fingerprint) : null)
+                    .then(() => this._restorePersistedState(instance, page))
+                    .then(() => this._initializePage(page));
             })
             .catch((err) => {
                 log.exception(err, 'PuppeteerPool: browser.newPage() failed', { id: instance.id });
@@ -298,13 +623,312 @@ export default class PuppeteerPool {
             });
     }
 
+    /**
+     * Returns the page that is no longer needed to the pool. If `reusePages` option is set
+     * then the page is cleaned and returned by `newPage()` again, otherwise it's closed.
+     *
+     * @param {Puppeteer.Page} page
+     * @return {Promise}
+     */
+    recyclePage(page) {
+        return Promise
+            .resolve(this.persistLocalStorage ? this._saveLocalStorage(page) : null)
+            .then(() => this._recyclePage(page));
+    }
+
+    /**
+     * @ignore
+     */
+    _recyclePage(page) {
+        const pageInfo = this.reusePages ? this.pagesInfo.get(page) : null;
+        const canBeReused = pageInfo
+            && this.activeInstances[pageInfo.instance.id]
+            && pageInfo.usageCount < this.maxPageUsageCount;
+
+        if (!canBeReused) return Promise.try(() => page.close());
+
+        // Cookies and storage of the persisted session must survive the reuse of the page.
+        const cleanPromise = cleanPage(page, !!this.persistCookiesKey);
+
+        // The cleanup removes all the listeners of the page.
+        this._watchPageClose(page, pageInfo.instance);
+
+        return cleanPromise
+            .then(() => {
+                // The browser might have been retired in the meantime.
+                if (!this.activeInstances[pageInfo.instance.id]) return page.close();
+
+                pageInfo.instance.idlePages.push(page);
+            })
+            .catch((err) => {
+                log.debug('PuppeteerPool: cannot clean page for reuse, closing it', { reason: err ? err.message : err });
+
+                return page.close();
+            });
+    }
+
+    /**
+     * Remembers the localStorage of the page so that it can be persisted.
+     *
+     * @ignore
+     */
+    _saveLocalStorage(page) {
+        const pageInfo = this.persistCookiesKey ? this.pagesInfo.get(page) : null;
+
+        if (!pageInfo) return Promise.resolve();
+
+        return Promise
+            .resolve(page.evaluate(getLocalStorage))
+            .timeout(PAGE_CLEANUP_TIMEOUT_MILLIS, 'Operation timed out.')
+            .then(({ origin, items }) => {
+                if (origin && origin !== 'null' && !_.isEmpty(items)) pageInfo.instance.localStorage[origin] = items;
+            })
+            .catch(err => log.debug('PuppeteerPool: cannot get localStorage of the page', { reason: err ? err.message : err }));
+    }
+
+    /**
+     * Loads the persisted cookies and localStorage from the key-value store, only once.
+     *
+     * @ignore
+     */
+    _loadPersistedState() {
+        if (!this.persistedStatePromise) {
+            this.persistedStatePromise = getValue(this.persistCookiesKey)
+                .then((state) => { this.persistedState = state || {}; });
+        }
+
+        return this.persistedStatePromise;
+    }
+
+    /**
+     * Restores the persisted cookies into the browser of the page and the persisted localStorage into the page.
+     *
+     * @ignore
+     */
+    _restorePersistedState(instance, page) {
+        if (!this.persistCookiesKey) return Promise.resolve();
+
+        return this
+            ._loadPersistedState()
+            .then(() => {
+                const state = this.persistedState[instance.persistedStateKey];
+
+                if (!state) return;
+
+                // Cookies are shared by all the pages of the browser, so they are set only once.
+                if (!instance.cookiesRestoredPromise) {
+                    instance.cookiesRestoredPromise = Promise.resolve(state.cookies.length ? page.setCookie(...state.cookies) : null);
+                }
+
+                const localStoragePromise = this.persistLocalStorage && !_.isEmpty(state.localStorage)
+                    ? page.evaluateOnNewDocument(restoreLocalStorage, state.localStorage)
+                    : null;
+
+                return Promise.all([instance.cookiesRestoredPromise, localStoragePromise]);
+            });
+    }
+
+    /**
+     * Saves the cookies and localStorage of the instances and persists them to the key-value store.
+     *
+     * @ignore
+     */
+    _persistInstancesState(instances) {
+        const getCookies = (browser) => {
+            return Promise
+                .resolve(browser.target().createCDPSession())
+                .then((session) => {
+                    return Promise
+                        .resolve(session.send('Storage.getCookies'))
+                        .finally(() => session.detach());
+                })
+                .then(({ cookies }) => cookies);
+        };
+
+        const saveInstanceState = (instance) => {
+            return instance.browserPromise
+                // Errors of the browser start are logged by _launchInstance().
+                .then(browser => getCookies(browser), () => null)
+                .then((cookies) => {
+                    const key = instance.persistedStateKey;
+
+                    // The state of the discarded proxy sessions is not persisted, see retire().
+                    if (!cookies || !key) return;
+
+                    const previousState = this.persistedState[key] || { localStorage: {} };
+
+                    // The key is re-added so that the keys stay ordered from the least recently saved.
+                    delete this.persistedState[key];
+                    this.persistedState[key] = {
+                        cookies,
+                        localStorage: _.extend({}, previousState.localStorage, instance.localStorage),
+                    };
+                })
+                .catch(err => log.exception(err, 'PuppeteerPool: cannot get the cookies of the browser', { id: instance.id }));
+        };
+
+        return this
+            ._loadPersistedState()
+            .then(() => Promise.all(instances.map(saveInstanceState)))
+            .then(() => {
+                // Proxy sessions get rotated during the crawl, so only the most recently saved ones are kept.
+                const keys = _.keys(this.persistedState);
+
+                _.first(keys, keys.length - MAX_PERSISTED_STATES).forEach((key) => { delete this.persistedState[key]; });
+
+                return setValue(this.persistCookiesKey, this.persistedState);
+            })
+            .catch(err => log.exception(err, 'PuppeteerPool: cannot persist the cookies'));
+    }
+
+    /**
+     * Removes the persisted state of the given key and stops persisting it for the active browsers.
+     *
+     * @ignore
+     */
+    _discardPersistedState(key) {
+        if (!this.persistCookiesKey) return;
+
+        _.each(this.activeInstances, (instance) => {
+            if (instance.persistedStateKey === key) instance.persistedStateKey = null;
+        });
+
+        return this
+            ._loadPersistedState()
+            .then(() => { delete this.persistedState[key]; });
+    }
+
+    /**
+     * Persists the cookies of the active browsers, and localStorage if `persistLocalStorage` is set,
+     * to the key-value store under `persistCookiesKey`. It's called automatically on each `persistState` event
+     * and by `destroy()`.
+     *
+     * @return {Promise}
+     */
+    persistState() {
+        if (!this.persistCookiesKey) return Promise.resolve();
+
+        return this._persistInstancesState(_.values(this.activeInstances));
+    }
+
+    /**
+     * Counts the closed pages of the instance and kills the retired instance once its last page is closed.
+     * Pages are counted instead of the targets of the browser, because e.g. popups, workers and
+     * the closing of incognito contexts destroy other targets too.
+     *
+     * @ignore
+     */
+    _watchPageClose(page, instance) {
+        page.once('close', () => {
+            instance.activePages--;
+
+            if (instance.activePages === 0 && this.retiredInstances[instance.id]) this._killInstance(instance);
+        });
+    }
+
+    /**
+     * Sets up a new or reused page.
+     *
+     * @ignore
+     */
+    _initializePage(page) {
+        page.on('error', (error) => {
+            log.exception(error, 'PuppeteerPool: page crashed');
+            // Ignore errors from Page.close()
+            page.close();
+        });
+
+        // TODO: log console messages page.on('console', message => log.debug(`Chrome console: ${message.text}`));
+
+        if (!this.blockRequestsOptions) return Promise.resolve(page);
+
+        const onRequestBlocked = () => this.blockedRequestsCount++;
+
+        return Promise
+            .resolve(puppeteerUtils.blockRequests(page, _.extend({}, this.blockRequestsOptions, { onRequestBlocked })))
+            .then(() => page);
+    }
+
+    /**
+     * Takes an idle page of the instance and returns it as a new page.
+     *
+     * @ignore
+     */
+    _reuseIdlePage(instance) {
+        const page = instance.idlePages.pop();
+
+        this.pagesInfo.get(page).usageCount++;
+        instance.lastPageOpenedAt = Date.now();
+        instance.totalPages++;
+
+        if (instance.totalPages >= this.retireInstanceAfterRequestCount) this._retireInstance(instance);
+
+        return this._initializePage(page);
+    }
+
+    /**
+     * Reports that a navigation of the page failed, e.g. due to a network error.
+     * If the navigations using the page's proxy from `options.proxyUrls` fail 3 times in a row,
+     * then the proxy is temporarily excluded from the rotation and the page's browser is retired.
+     *
+     * @param {Puppeteer.Page} page
+     */
+    reportProxyError(page) {
+        const proxyUrl = this._getPageProxyUrl(page);
+
+        if (!proxyUrl) return;
+
+        const proxy = _.findWhere(this.proxies, { url: proxyUrl });
+
+        if (++proxy.errorCount < PROXY_MAX_ERROR_COUNT) return;
+
+        this._excludeProxy(proxyUrl);
+        this._retireInstance(this.pagesInfo.get(page).instance);
+    }
+
+    /**
+     * Reports that a navigation of the page succeeded, which resets the error count of the page's proxy.
+     *
+     * @param {Puppeteer.Page} page
+     */
+    reportProxySuccess(page) {
+        const proxyUrl = this._getPageProxyUrl(page);
+
+        if (proxyUrl) _.findWhere(this.proxies, { url: proxyUrl }).errorCount = 0;
+    }
+
+    /**
+     * Returns the proxy URL from `options.proxyUrls` used by the page's browser or `null`.
+     *
+     * @ignore
+     */
+    _getPageProxyUrl(page) {
+        const pageInfo = this.proxies ? this.pagesInfo.get(page) : null;
+
+        return pageInfo ? pageInfo.instance.proxyUrl : null;
+    }
+
     /**
      * Closes all the browsers.
      */
     destroy() {
         clearInterval(this.instanceKillerInterval);
         process.removeListener('SIGINT', this.sigintListener);
+        events.removeListener(ACTOR_EVENT_NAMES.PERSIST_STATE, this.persistStateListener);
+
+        if (this.blockRequestsOptions) log.info('PuppeteerPool: blocked requests', { count: this.blockedRequestsCount });
+
+        return this
+            .persistState()
+            .then(() => this._closeAllInstances());
+    }
 
+    /**
+     * Closes all the active and retired browsers.
+     *
+     * @ignore
+     */
+    _closeAllInstances() {
         const browserPromises = _
             .values(this.activeInstances)
             .concat(_.values(this.retiredInstances))
@@ -348,13 +972,35 @@ export default class PuppeteerPool {
      * Manually retires a Puppeteer Browser instance from the pool. The browser will continue
      * to process open pages so that they may gracefully finish. This is unlike browser.close()
      * which will forcibly terminate the browser and all open pages will be closed.
+     *
+     * If `opts.rotateProxySession` is `true` then the browsers launched from now on use a new Apify Proxy session,
+     * provided that `launchPuppeteerOptions.useApifyProxy` is set. This is useful when the browser was blocked.
+     * The cookies persisted for the previous proxy session are then removed, see `options.persistCookiesKey`.
+     *
      * @param {Puppeteer.Browser} browser
+     * @param {Object} [opts]
+     * @param {Boolean} [opts.rotateProxySession=false]
      */
-    retire(browser) {
+    retire(browser, opts = {}) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+        checkParamOrThrow(opts.rotateProxySession, 'opts.rotateProxySession', 'Maybe Boolean');
+
+        if (opts.rotateProxySession) {
+            this.apifyProxySession = `session_${cryptoRandomObjectId(10)}`;
+            log.debug('PuppeteerPool: using new proxy session for new browsers', { apifyProxySession: this.apifyProxySession });
+        }
+
         return this._findInstanceByBrowser(browser)
             .then((instance) => {
-                if (instance) return this._retireInstance(instance);
-                log.debug('PuppeteerPool: browser is retired already');
+                if (!instance) return log.debug('PuppeteerPool: browser is retired already');
+
+                const newPersistedStateKey = getPersistedStateKey(this._getLaunchPuppeteerOptions());
+
+                if (opts.rotateProxySession && instance.persistedStateKey !== newPersistedStateKey) {
+                    this._discardPersistedState(instance.persistedStateKey);
+                }
+
+                return this._retireInstance(instance);
             });
     }
 }
@@ -4,13 +4,24 @@ import _ from 'underscore';
 import log from 'apify-shared/log';
 import { checkParamOrThrow } from 'apify-client/build/utils';
 import { checkParamPrototypeOrThrow } from 'apify-shared/utilities';
+import { BLOCK_REQUESTS_PRESETS } from './constants';
 import { RequestQueue, RequestQueueLocal } from './request_queue';
 import Request from './request';
+import RobotsTxt, { getDefaultRobotsTxt } from './robots_txt';
+import UrlTrapDetector from './url_trap_detector';
 
 const jqueryPath = require.resolve('jquery');
 const underscorePath = require.resolve('underscore');
 const readFilePromised = Promise.promisify(fs.readFile);
 
+/**
+ * Requests being processed in the pages of `PuppeteerCrawler`, so that `enqueueLinks()` can find the parent request
+ * of the page. Key is Puppeteer.Page, value is Request.
+ *
+ * @ignore
+ */
+export const pageRequests = new WeakMap();
+
 /**
  * Hides certain Puppeteer fingerprints from the page, in order to help avoid detection of the crawler.
  * The function should be called on a newly-created page object before navigating to the target crawled page.
@@ -138,14 +149,36 @@ const enqueueRequestsFromClickableElements = async (page, selector, purls, reque
  * @param {String} selector CSS selector matching elements to be clicked.
  * @param {Array} pseudoUrls An array of `Apify.PseudoUrl` objects matching URL to be enqueued.
  * @param {RequestQueue} requestQueue `Apify.RequestQueue` object where URLs will be enqueued.
+ * @param {Object} [opts]
+ * @param {Request} [opts.parentRequest] The request whose page is being processed. If provided then the enqueued requests
+ *                                       get `depth` set to `parentRequest.depth + 1` and `referrerUrl` set to `parentRequest.url`.
+ *                                       Defaults to the request being processed in the page by `PuppeteerCrawler`,
+ *                                       so that its `maxCrawlDepth` option works without passing the parameter.
+ *                                       If there is no parent request then the `referrerUrl` is set to the current URL of the page.
+ * @param {Boolean} [opts.respectRobotsTxt=false] If set to `true` then URLs disallowed by `robots.txt` of their website are not enqueued.
+ * @param {RobotsTxt} [opts.robotsTxt] Instance of `Apify.RobotsTxt` used when `respectRobotsTxt` is set.
+ *                                     By default a shared instance for the `*` user agent is used.
+ * @param {UrlTrapDetector} [opts.urlTrapDetector] Instance of `Apify.UrlTrapDetector`. If provided then URLs that are likely
+ *                                                 crawler traps are not enqueued. Use the same instance for the whole crawl.
+ *                                                 Only the URLs newly added to the queue are recorded by the instance.
  * @return {Promise} Promise resolves to array of RequestOperationInfo objects.
  * @memberof utils.puppeteer
  */
-const enqueueLinks = async (page, selector, purls, requestQueue) => {
+const enqueueLinks = async (page, selector, purls, requestQueue, opts = {}) => {
     checkParamOrThrow(page, 'page', 'Object');
     checkParamOrThrow(selector, 'selector', 'String');
     checkParamOrThrow(purls, 'purls', 'Array');
     checkParamPrototypeOrThrow(requestQueue, 'requestQueue', [RequestQueue, RequestQueueLocal], 'Apify.RequestQueue');
+    checkParamOrThrow(opts, 'opts', 'Object');
+
+    const { parentRequest = pageRequests.get(page), respectRobotsTxt = false, robotsTxt, urlTrapDetector } = opts;
+
+    checkParamPrototypeOrThrow(parentRequest, 'opts.parentRequest', Request, 'Apify.Request', true);
+    checkParamOrThrow(respectRobotsTxt, 'opts.respectRobotsTxt', 'Boolean');
+    checkParamPrototypeOrThrow(robotsTxt, 'opts.robotsTxt', RobotsTxt, 'Apify.RobotsTxt', true);
+    checkParamPrototypeOrThrow(urlTrapDetector, 'opts.urlTrapDetector', UrlTrapDetector, 'Apify.UrlTrapDetector', true);
+
+    const referrerUrl = parentRequest ? parentRequest.url : page.url();
 
     /* istanbul ignore next */
     const getHrefs = linkEls => linkEls.map(link => link.href).filter(href => !!href);
@@ -153,12 +186,225 @@ const enqueueLinks = async (page, selector, purls, requestQueue) => {
     const requests = [];
 
     urls.forEach((url) => {
-        purls
-            .filter(purl => purl.matches(url))
-            .forEach(purl => requests.push(purl.createRequest(url)));
+        const matchingPurls = purls.filter(purl => purl.matches(url));
+
+        if (!matchingPurls.length || (urlTrapDetector && !urlTrapDetector.isAllowed(url))) return;
+
+        matchingPurls.forEach((purl) => {
+            const request = purl.createRequest(url);
+
+            request.referrerUrl = referrerUrl;
+            if (parentRequest) request.depth = parentRequest.depth + 1;
+
+            requests.push(request);
+        });
     });
 
-    return Promise.mapSeries(requests, request => requestQueue.addRequest(request));
+    const allowedRequests = respectRobotsTxt
+        ? await Promise.filter(requests, request => (robotsTxt || getDefaultRobotsTxt()).isAllowed(request.url))
+        : requests;
+
+    if (!urlTrapDetector) return Promise.mapSeries(allowedRequests, request => requestQueue.addRequest(request));
+
+    // The URLs are checked again as the URLs enqueued before them might have exhausted the limits.
+    const operationInfos = [];
+
+    await Promise.each(allowedRequests, async (request) => {
+        if (!urlTrapDetector.isAllowed(request.url)) return;
+
+        const operationInfo = await requestQueue.addRequest(request);
+
+        if (!operationInfo.wasAlreadyPresent) urlTrapDetector.record(request.url);
+        operationInfos.push(operationInfo);
+    });
+
+    return operationInfos;
+};
+
+/**
+ * Returns `true` if the URL contains the string pattern or matches the RegExp pattern.
+ *
+ * @ignore
+ */
+const matchesUrlPattern = (url, pattern) => (_.isRegExp(pattern) ? pattern.test(url) : url.includes(pattern));
+
+/**
+ * Enables request interception in the page and aborts the requests of the given resource types
+ * or with URLs matching the given patterns, e.g. to speed up the crawling by not loading images, fonts and media.
+ * The number of blocked requests is logged when the page is closed.
+ *
+ * Note that request interception disables the browser cache and that the function should be called
+ * before navigating the page. Other request interception handlers must not be used together with it.
+ *
+ * Example usage:
+ *
+ * ```javascript
+ * await Apify.utils.puppeteer.blockRequests(page, {
+ *     resourceTypes: ['image', 'stylesheet', 'font'],
+ *     urlPatterns: ['.mp4', /\/tracking\?/],
+ *     presets: ['analytics', 'ads'],
+ * });
+ * await page.goto('https://www.example.com');
+ * ```
+ *
+ * @param {Page} page Puppeteer [Page](https://github.com/GoogleChrome/puppeteer/blob/master/docs/api.md#class-page) object.
+ * @param {Object} [opts]
+ * @param {String[]} [opts.resourceTypes=['image', 'font', 'media']] Resource types to be blocked,
+ *                                                                   as returned by Puppeteer's `request.resourceType()`.
+ * @param {Array} [opts.urlPatterns=[]] Strings or regular expressions. Requests whose URLs contain any of the strings
+ *                                      or match any of the regular expressions are blocked.
+ * @param {String[]} [opts.presets=[]] Names of predefined lists of URL patterns to be blocked, either `analytics` or `ads`.
+ * @param {Function} [opts.onRequestBlocked] Function that is called with the Puppeteer request whenever a request is blocked.
+ * @return {Promise}
+ * @memberof utils.puppeteer
+ */
+const blockRequests = async (page, opts = {}) => {
+    checkParamOrThrow(page, 'page', 'Object');
+    checkParamOrThrow(opts, 'opts', 'Object');
+
+    const { resourceTypes = ['image', 'font', 'media'], urlPatterns = [], presets = [], onRequestBlocked } = opts;
+
+    checkParamOrThrow(resourceTypes, 'opts.resourceTypes', '[String]');
+    checkParamOrThrow(urlPatterns, 'opts.urlPatterns', 'Array');
+    checkParamOrThrow(presets, 'opts.presets', '[String]');
+    checkParamOrThrow(onRequestBlocked, 'opts.onRequestBlocked', 'Maybe Function');
+
+    presets.forEach((preset) => {
+        if (!BLOCK_REQUESTS_PRESETS[preset]) {
+            throw new Error(`Parameter "opts.presets" contains unknown preset "${preset}", use one of: ${_.keys(BLOCK_REQUESTS_PRESETS).join(', ')}`);
+        }
+    });
+
+    const allUrlPatterns = urlPatterns.concat(_.flatten(presets.map(preset => BLOCK_REQUESTS_PRESETS[preset])));
+    let blockedCount = 0;
+
+    await page.setRequestInterception(true);
+
+    // The request fails to continue or abort e.g. when the page gets closed or navigated in the meantime.
+    const onInterceptionError = (err) => {
+        log.debug('utils.puppeteer.blockRequests: request interception failed', { reason: err ? err.message : err });
+    };
+
+    page.on('request', (request) => {
+        const url = request.url();
+        const isBlocked = _.contains(resourceTypes, request.resourceType())
+            || _.some(allUrlPatterns, pattern => matchesUrlPattern(url, pattern));
+
+        if (!isBlocked) return Promise.try(() => request.continue()).catch(onInterceptionError);
+
+        blockedCount++;
+        if (onRequestBlocked) onRequestBlocked(request);
+
+        return Promise.try(() => request.abort()).catch(onInterceptionError);
+    });
+
+    page.once('close', () => {
+        log.debug('utils.puppeteer.blockRequests: blocked requests', { url: page.url(), blockedCount });
+    });
+};
+
+/**
+ * Scrolls the page down, one viewport at a time, until no new content gets loaded, so that the content of
+ * infinite scroll pages and lazy-loaded images are loaded. After each scroll step the function waits until there are
+ * no pending network requests for `waitForNetworkIdleMillis`, but at most `maxWaitPerScrollMillis`. The scrolling stops
+ * once the bottom of the page is reached and neither the page height changed nor any network requests were made,
+ * or when any of the limits is reached.
+ *
+ * Example usage:
+ *
+ * ```javascript
+ * await page.goto('https://www.example.com/feed');
+ * const scrollCount = await Apify.utils.puppeteer.infiniteScroll(page, { timeoutSecs: 120, stopSelector: '.end-of-feed' });
+ * ```
+ *
+ * @param {Page} page Puppeteer [Page](https://github.com/GoogleChrome/puppeteer/blob/master/docs/api.md#class-page) object.
+ * @param {Object} [opts]
+ * @param {Number} [opts.timeoutSecs=60] Maximum time of scrolling in seconds, `0` means no limit.
+ *                                       In that case `opts.maxScrolls` must be set, because infinite scroll pages never end.
+ * @param {Number} [opts.maxScrolls] Maximum number of scroll steps.
+ * @param {Number} [opts.waitForNetworkIdleMillis=1000] How long there must be no network activity after a scroll step
+ *                                                      before the page is considered loaded.
+ * @param {Number} [opts.maxWaitPerScrollMillis=10000] Maximum time to wait for the network to become idle after a scroll step,
+ *                                                     as e.g. long-polling requests never finish.
+ * @param {String} [opts.stopSelector] CSS selector of an element whose presence stops the scrolling, e.g. the end of a feed.
+ * @return {Promise<Number>} Promise resolves to the number of scroll steps.
+ * @memberof utils.puppeteer
+ */
+const infiniteScroll = async (page, opts = {}) => {
+    checkParamOrThrow(page, 'page', 'Object');
+    checkParamOrThrow(opts, 'opts', 'Object');
+
+    const { timeoutSecs = 60, maxScrolls, waitForNetworkIdleMillis = 1000, maxWaitPerScrollMillis = 10000, stopSelector } = opts;
+
+    checkParamOrThrow(timeoutSecs, 'opts.timeoutSecs', 'Number');
+    checkParamOrThrow(maxScrolls, 'opts.maxScrolls', 'Maybe Number');
+    checkParamOrThrow(waitForNetworkIdleMillis, 'opts.waitForNetworkIdleMillis', 'Number');
+    checkParamOrThrow(maxWaitPerScrollMillis, 'opts.maxWaitPerScrollMillis', 'Number');
+    checkParamOrThrow(stopSelector, 'opts.stopSelector', 'Maybe String');
+
+    if (timeoutSecs <= 0 && !maxScrolls) throw new Error('Parameter "opts.maxScrolls" must be set if "opts.timeoutSecs" is 0!');
+
+    const startedAt = Date.now();
+    const isTimedOut = () => timeoutSecs > 0 && Date.now() - startedAt >= timeoutSecs * 1000;
+    let pendingRequestsCount = 0;
+    let requestsCount = 0;
+    let lastNetworkActivityAt = Date.now();
+
+    const onRequest = () => {
+        pendingRequestsCount++;
+        requestsCount++;
+        lastNetworkActivityAt = Date.now();
+    };
+    const onRequestDone = () => {
+        pendingRequestsCount = Math.max(pendingRequestsCount - 1, 0);
+        lastNetworkActivityAt = Date.now();
+    };
+
+    /* istanbul ignore next */
+    const getScrollState = () => ({
+        scrollHeight: document.body.scrollHeight,
+        isAtBottom: window.scrollY + window.innerHeight >= document.body.scrollHeight,
+    });
+    /* istanbul ignore next */
+    const scrollDown = () => window.scrollBy(0, window.innerHeight);
+
+    page.on('request', onRequest);
+    page.on('requestfinished', onRequestDone);
+    page.on('requestfailed', onRequestDone);
+
+    let scrollCount = 0;
+
+    try {
+        while (!isTimedOut() && !(_.isNumber(maxScrolls) && scrollCount >= maxScrolls)) {
+            if (stopSelector && await page.$(stopSelector)) break;
+
+            const stateBefore = await page.evaluate(getScrollState);
+            const requestsCountBefore = requestsCount;
+
+            await page.evaluate(scrollDown);
+            scrollCount++;
+
+            const scrolledAt = Date.now();
+            const isWaitingTooLong = () => isTimedOut() || Date.now() - scrolledAt >= maxWaitPerScrollMillis;
+
+            while (!isWaitingTooLong() && (pendingRequestsCount > 0 || Date.now() - lastNetworkActivityAt < waitForNetworkIdleMillis)) {
+                await Promise.delay(Math.min(100, waitForNetworkIdleMillis));
+            }
+
+            const stateAfter = await page.evaluate(getScrollState);
+            const hasNewContent = stateAfter.scrollHeight !== stateBefore.scrollHeight || requestsCount !== requestsCountBefore;
+
+            if (stateAfter.isAtBottom && !hasNewContent) break;
+        }
+    } finally {
+        page.removeListener('request', onRequest);
+        page.removeListener('requestfinished', onRequestDone);
+        page.removeListener('requestfailed', onRequestDone);
+    }
+
+    log.debug('utils.puppeteer.infiniteScroll: finished', { url: page.url(), scrollCount, durationMillis: Date.now() - startedAt });
+
+    return scrollCount;
 };
 
 /**
@@ -186,4 +432,6 @@ export const puppeteerUtils = {
     injectUnderscore,
     enqueueRequestsFromClickableElements,
     enqueueLinks,
+    blockRequests,
+    infiniteScroll,
 };
@@ -31,9 +31,15 @@ export const computeUniqueKey = (url, keepUrlFragment) => normalizeUrl(url, keep
  * @param {String} [opts.method='GET']
  * @param {String|Buffer} [opts.payload] Request payload. If method='GET' then the payload is not allowed.
  * @param {Number} [opts.retryCount=0] How many times the url was retried in a case of exception.
+ * @param {Number} [opts.maxRetries] Maximum number of retries of this request. If set then it overrides the `maxRequestRetries`
+ *                                   option of the crawler.
  * @param {String} [opts.errorMessages] Array of error messages from request processing.
  * @param {String} [opts.headers={}] HTTP headers.
  * @param {Object} [opts.userData={}] Custom data that user can assign to request.
+ * @param {Number} [opts.depth=0] Depth of the request in the crawl, i.e. the number of links followed from the start URL.
+ * @param {String} [opts.referrerUrl] URL of the page on which the link to this request was found.
+ * @param {Number} [opts.priority=0] Requests with a higher priority are fetched from the `RequestQueue` first.
+ *                                   Requests with the same priority keep their order in the queue.
  * @param {Boolean} [opts.keepUrlFragment=false] If false then hash part is removed from url when computing `uniqueKey`.
  * @param {String} [opts.ignoreErrors=false] If set to `true` then errors in processing of this will be ignored (request won't be
  *                                           retried in a case of an error for example).
@@ -49,9 +55,13 @@ export default class Request {
             method = 'GET',
             payload = null,
             retryCount = 0,
+            maxRetries,
             errorMessages = null,
             headers = {},
             userData = {},
+            depth = 0,
+            referrerUrl,
+            priority = 0,
             keepUrlFragment = false,
             ignoreErrors = false,
         } = opts;
@@ -63,9 +73,13 @@ export default class Request {
         checkParamOrThrow(method, 'method', 'String');
         checkParamOrThrow(payload, 'payload', 'Maybe Buffer | String');
         checkParamOrThrow(retryCount, 'retryCount', 'Number');
+        checkParamOrThrow(maxRetries, 'maxRetries', 'Maybe Number');
         checkParamOrThrow(errorMessages, 'errorMessages', 'Maybe Array');
         checkParamOrThrow(headers, 'headers', 'Object');
         checkParamOrThrow(userData, 'userData', 'Object');
+        checkParamOrThrow(depth, 'depth', 'Number');
+        checkParamOrThrow(referrerUrl, 'referrerUrl', 'Maybe String');
+        checkParamOrThrow(priority, 'priority', 'Number');
         checkParamOrThrow(ignoreErrors, 'ignoreErrors', 'Boolean');
 
         if (method === 'GET' && payload) throw new Error('Request with GET method cannot have a payload.');
@@ -76,9 +90,13 @@ export default class Request {
         this.method = method;
         this.payload = payload;
         this.retryCount = retryCount;
+        this.maxRetries = maxRetries;
         this.errorMessages = errorMessages;
         this.headers = headers;
         this.userData = userData;
+        this.depth = depth;
+        this.referrerUrl = referrerUrl;
+        this.priority = priority;
         this.ignoreErrors = ignoreErrors;
     }
 
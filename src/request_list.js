@@ -6,6 +6,7 @@ import Request from './request';
 import events from './events';
 import { ACTOR_EVENT_NAMES } from './constants';
 import { getFirstKey, publicUtils } from './utils';
+import { downloadSitemapUrls } from './sitemap';
 import { getValue, setValue } from './key_value_store';
 
 /**
@@ -40,6 +41,10 @@ const ensureUniqueKeyValid = (uniqueKey) => {
  *         // Bulk load of URLs from file `http://www.example.com/my-url-list.txt`
  *         // Note that all URLs must start with http:// or https://
  *         { requestsFromUrl: 'http://www.example.com/my-url-list.txt', userData: { isFromUrl: true } },
+ *
+ *         // Bulk load of URLs from sitemap `http://www.example.com/sitemap.xml`,
+ *         // including nested sitemaps of a sitemap index and gzipped sitemaps
+ *         { sitemapUrl: 'http://www.example.com/sitemap.xml', regex: /\/products\//, lastModifiedAfter: new Date('2018-01-01') },
  *     ],
  *     persistStateKey: 'my-crawling-state'
  * });
@@ -66,6 +71,9 @@ const ensureUniqueKeyValid = (uniqueKey) => {
  *     { method: 'GET', url: 'http://example.com/a/b' },
  *     // Batch import of URLa from a file hosted on the web
  *     { method: 'POST', requestsFromUrl: 'http://example.com/urls.txt' },
+ *     // Batch import of URLs from a sitemap, optionally filtered by a regular expression
+ *     // and by the `<lastmod>` date of the sitemap entries
+ *     { sitemapUrl: 'http://example.com/sitemap.xml', regex: /\/blog\//, lastModifiedAfter: new Date('2018-01-01') },
  * ]
  * ```
  * @param {String} [options.persistStateKey] Key-value store key under which the `RequestList` persists its state. If this is set then `RequestList`
@@ -119,6 +127,11 @@ export default class RequestList {
         // Note that reclaimedRequests is always a subset of inProgressRequests!
         this.reclaimed = {};
 
+        // Dictionary of requests for which reclaimRequest() was called with opts.delayMillis.
+        // The key is uniqueKey, value is the timeout after which the request gets reclaimed.
+        // Note that delayedReclaims is always a subset of inProgressRequests too!
+        this.delayedReclaims = {};
+
         // If this key is set then we persist url list into default key-value store under this key.
         this.persistStateKey = persistStateKey;
         this.isStatePersisted = true;
@@ -143,9 +156,10 @@ export default class RequestList {
         return Promise
             .mapSeries(this.sources, (source) => {
                 // TODO: One promise per each item is too much overheads, we could cluster items into single Promise.
-                return source.requestsFromUrl
-                    ? this._addRequestsFromUrl(source)
-                    : Promise.resolve(this._addRequest(source));
+                if (source.requestsFromUrl) return this._addRequestsFromUrl(source);
+                if (source.sitemapUrl) return this._addRequestsFromSitemap(source);
+
+                return Promise.resolve(this._addRequest(source));
             })
             .then(() => this.initialStatePromise)
             .then((state) => {
@@ -237,18 +251,26 @@ export default class RequestList {
     }
 
     /**
-     * Returns `true` if the next call to `fetchNextRequest()` will return null, otherwise it returns `false`.
+     * Returns `true` if the next call to `fetchNextRequest()` will return null and there are no requests
+     * waiting for their delayed reclaim, otherwise it returns `false`.
      * Note that even if the list is empty, there might be some pending requests currently being processed.
      *
+     * @param {Object} [opts]
+     * @param {Boolean} [opts.ignoreDelayedReclaims=false] If `true` then the requests waiting for their delayed reclaim are not counted.
      * @returns {Promise<boolean>}
      */
-    isEmpty() {
+    isEmpty(opts = {}) {
         return Promise
             .resolve()
             .then(() => {
+                const { ignoreDelayedReclaims = false } = opts;
+
+                checkParamOrThrow(ignoreDelayedReclaims, 'opts.ignoreDelayedReclaims', 'Boolean');
                 this._ensureIsInitialized();
 
-                return !getFirstKey(this.reclaimed) && this.nextIndex >= this.requests.length;
+                return !getFirstKey(this.reclaimed)
+                    && (ignoreDelayedReclaims || !getFirstKey(this.delayedReclaims))
+                    && this.nextIndex >= this.requests.length;
             });
     }
 
@@ -316,6 +338,8 @@ export default class RequestList {
                 this._ensureInProgressAndNotReclaimed(uniqueKey);
                 this._ensureIsInitialized();
 
+                clearTimeout(this.delayedReclaims[uniqueKey]);
+                delete this.delayedReclaims[uniqueKey];
                 delete this.inProgress[uniqueKey];
                 this.isStatePersisted = false;
             });
@@ -325,21 +349,58 @@ export default class RequestList {
      * Reclaims request to the list if its processing failed.
      * The request will become available in the next `this.fetchNextRequest()`.
      *
+     * If `opts.delayMillis` is set then the request stays in progress and becomes available only after the delay.
+     *
      * @param {Request} request
+     * @param {Object} [opts]
+     * @param {Number} [opts.delayMillis=0] Number of milliseconds after which the request becomes available again.
      *
      * @returns {Promise}
      */
-    reclaimRequest(request) {
+    reclaimRequest(request, opts = {}) {
         return Promise
             .resolve()
             .then(() => {
                 const { uniqueKey } = request;
 
+                checkParamOrThrow(opts, 'opts', 'Object');
+
+                const { delayMillis = 0 } = opts;
+
+                checkParamOrThrow(delayMillis, 'opts.delayMillis', 'Number');
                 ensureUniqueKeyValid(uniqueKey);
                 this._ensureInProgressAndNotReclaimed(uniqueKey);
                 this._ensureIsInitialized();
 
-                this.reclaimed[uniqueKey] = true;
+                if (this.delayedReclaims[uniqueKey]) throw new Error(`The request was already reclaimed (uniqueKey: ${uniqueKey})`);
+
+                if (!delayMillis) {
+                    this.reclaimed[uniqueKey] = true;
+                    return;
+                }
+
+                this.delayedReclaims[uniqueKey] = setTimeout(() => {
+                    delete this.delayedReclaims[uniqueKey];
+                    this.reclaimed[uniqueKey] = true;
+                }, delayMillis);
+            });
+    }
+
+    /**
+     * Reclaims immediately the requests whose reclaim was delayed using `opts.delayMillis` of `reclaimRequest()`,
+     * so that no timers are left behind. It's called by the crawlers when they finish or get aborted.
+     *
+     * @return {Promise}
+     */
+    reclaimDelayedRequests() {
+        return Promise
+            .resolve()
+            .then(() => {
+                _.each(this.delayedReclaims, (timeout, uniqueKey) => {
+                    clearTimeout(timeout);
+                    this.reclaimed[uniqueKey] = true;
+                });
+                this.delayedReclaims = {};
             });
     }
 
@@ -358,28 +419,7 @@ export default class RequestList {
             urlRegExp: regex,
         })
             .then((urlsArr) => {
-                const originalLength = this.requests.length;
-
-                if (urlsArr) {
-                    urlsArr.forEach(url => this._addRequest(_.extend({ url }, sharedOpts)));
-
-                    const fetchedCount = urlsArr.length;
-                    const importedCount = this.requests.length - originalLength;
-
-                    log.info('RequestList: list fetched', {
-                        requestsFromUrl,
-                        regex,
-                        fetchedCount,
-                        importedCount,
-                        duplicateCount: fetchedCount - importedCount,
-                        sample: JSON.stringify(urlsArr.slice(0, 5)),
-                    });
-                } else {
-                    log.warning('RequestList: list fetched but it is empty', {
-                        requestsFromUrl,
-                        regex,
-                    });
-                }
+                this._addFetchedUrls(urlsArr, sharedOpts, 'RequestList: list', { requestsFromUrl, regex });
             })
             .catch((err) => {
                 log.exception(err, 'RequestList: Cannot fetch a request list', { requestsFromUrl, regex });
@@ -387,6 +427,54 @@ export default class RequestList {
             });
     }
 
+    /**
+     * Adds all requests from a sitemap, including the nested sitemaps.
+     *
+     * @ignore
+     */
+    _addRequestsFromSitemap(source) {
+        const sharedOpts = _.omit(source, 'sitemapUrl', 'regex', 'lastModifiedAfter');
+        const { sitemapUrl, regex, lastModifiedAfter } = source;
+
+        return downloadSitemapUrls({
+            url: sitemapUrl,
+            regex,
+            lastModifiedAfter,
+        })
+            .then((urlsArr) => {
+                this._addFetchedUrls(urlsArr, sharedOpts, 'RequestList: sitemap', { sitemapUrl, regex, lastModifiedAfter });
+            })
+            .catch((err) => {
+                log.exception(err, 'RequestList: Cannot fetch a sitemap', { sitemapUrl, regex, lastModifiedAfter });
+                throw new Error(`Cannot fetch a sitemap from ${sitemapUrl}: ${err}`);
+            });
+    }
+
+    /**
+     * Adds requests for the URLs fetched from a remote source and logs the result.
+     *
+     * @ignore
+     */
+    _addFetchedUrls(urlsArr, sharedOpts, logPrefix, logData) {
+        const originalLength = this.requests.length;
+
+        if (urlsArr) {
+            urlsArr.forEach(url => this._addRequest(_.extend({ url }, sharedOpts)));
+
+            const fetchedCount = urlsArr.length;
+            const importedCount = this.requests.length - originalLength;
+
+            log.info(`${logPrefix} fetched`, _.extend({}, logData, {
+                fetchedCount,
+                importedCount,
+                duplicateCount: fetchedCount - importedCount,
+                sample: JSON.stringify(urlsArr.slice(0, 5)),
+            }));
+        } else {
+            log.warning(`${logPrefix} fetched but it is empty`, logData);
+        }
+    }
+
     /**
      * Adds given request.
      * If opts parameter is plain object not instance of an Requests then creates it.
@@ -4,6 +4,7 @@ import path from 'path';
 import { checkParamOrThrow } from 'apify-client/build/utils';
 import LruCache from 'apify-shared/lru_cache';
 import ListDictionary from 'apify-shared/list_dictionary';
+import log from 'apify-shared/log';
 import { delayPromise, checkParamPrototypeOrThrow } from 'apify-shared/utilities';
 import Promise from 'bluebird';
 import crypto from 'crypto';
@@ -36,6 +37,59 @@ const emptyDirPromised = Promise.promisify(fsExtra.emptyDir);
 const { requestQueues } = apifyClient;
 const queuesCache = new LruCache({ maxLength: MAX_OPENED_QUEUES }); // Open queues are stored here.
 
+/**
+ * List dictionary that keeps a separate `ListDictionary` for each priority.
+ * `removeFirst()` returns the first item with the highest priority.
+ *
+ * @ignore
+ */
+class PriorityListDictionary {
+    constructor() {
+        this.dictionaries = {};
+        this.priorities = []; // Sorted in descending order.
+        this.keyToPriority = {};
+        this.count = 0;
+    }
+
+    length() {
+        return this.count;
+    }
+
+    add(key, item, toFirstPosition = false, priority = 0) {
+        if (_.has(this.keyToPriority, key)) return false;
+
+        if (!this.dictionaries[priority]) {
+            this.dictionaries[priority] = new ListDictionary();
+            this.priorities.push(priority);
+            this.priorities.sort((a, b) => b - a);
+        }
+
+        this.dictionaries[priority].add(key, { key, item }, toFirstPosition);
+        this.keyToPriority[key] = priority;
+        this.count++;
+
+        return true;
+    }
+
+    removeFirst() {
+        if (!this.count) return null;
+
+        const priority = this.priorities[0];
+        const dictionary = this.dictionaries[priority];
+        const { key, item } = dictionary.removeFirst();
+
+        if (!dictionary.length()) {
+            delete this.dictionaries[priority];
+            this.priorities.shift();
+        }
+
+        delete this.keyToPriority[key];
+        this.count--;
+
+        return item;
+    }
+}
+
 /**
  * Helper function to validate params of *.addRequest().
  * @ignore
@@ -79,11 +133,65 @@ const validateReclaimRequestParams = (request, opts) => {
     checkParamOrThrow(request.id, 'request.id', 'String');
     checkParamOrThrow(opts, 'opts', 'Object');
 
-    const { forefront = false } = opts;
+    const { forefront = false, delayMillis = 0 } = opts;
 
     checkParamOrThrow(forefront, 'opts.forefront', 'Boolean');
+    checkParamOrThrow(delayMillis, 'opts.delayMillis', 'Number');
 
-    return { forefront };
+    return { forefront, delayMillis };
+};
+
+/**
+ * Helper function that validates the parameters of isEmpty() and returns them with the defaults.
+ *
+ * @ignore
+ */
+const validateIsEmptyParams = (opts) => {
+    checkParamOrThrow(opts, 'opts', 'Object');
+
+    const { ignoreDelayedReclaims = false } = opts;
+
+    checkParamOrThrow(ignoreDelayedReclaims, 'opts.ignoreDelayedReclaims', 'Boolean');
+
+    return { ignoreDelayedReclaims };
+};
+
+/**
+ * Helper function that reclaims the request after the given delay. The request stays in progress
+ * in the meantime and is kept in queue.delayedReclaims, so that it can be reclaimed immediately
+ * by reclaimDelayedRequests(). If the reclaim fails then it's tried again after the same delay.
+ *
+ * @ignore
+ */
+const reclaimRequestLater = (queue, request, { forefront, delayMillis }) => {
+    if (queue.delayedReclaims[request.id]) throw new Error(`Cannot reclaim request ${request.id} that was already reclaimed!`);
+
+    const timeout = setTimeout(() => {
+        delete queue.delayedReclaims[request.id];
+
+        queue
+            .reclaimRequest(request, { forefront })
+            .catch((err) => {
+                log.exception(err, 'RequestQueue: Delayed reclaim of the request failed, trying again later', { requestId: request.id });
+                reclaimRequestLater(queue, request, { forefront, delayMillis });
+            });
+    }, delayMillis);
+
+    queue.delayedReclaims[request.id] = { request, forefront, timeout };
+};
+
+/**
+ * Helper function that reclaims immediately the requests whose reclaim was delayed.
+ *
+ * @ignore
+ */
+const reclaimDelayedRequestsNow = (queue) => {
+    const delayedReclaims = _.values(queue.delayedReclaims);
+
+    queue.delayedReclaims = {};
+    delayedReclaims.forEach(({ timeout }) => clearTimeout(timeout));
+
+    return Promise.mapSeries(delayedReclaims, ({ request, forefront }) => queue.reclaimRequest(request, { forefront }));
 };
 
 /**
@@ -95,7 +203,7 @@ const validateReclaimRequestParams = (request, opts) => {
  *
  * @ignore
  */
-const getRequestId = (uniqueKey) => {
+export const getRequestId = (uniqueKey) => {
     checkParamOrThrow(uniqueKey, 'uniqueKey', 'String');
 
     const str = crypto
@@ -156,13 +264,14 @@ export class RequestQueue {
         checkParamOrThrow(queueId, 'queueId', 'String');
 
         this.queueId = queueId;
-        this.queueHeadDict = new ListDictionary();
+        this.queueHeadDict = new PriorityListDictionary();
         this.requestIdsInProgress = {};
         this.inProgressCount = 0;
+        this.delayedReclaims = {}; // Key is request ID, value is { request, forefront, timeout }.
         this.queryQueueHeadPromise = null;
 
         // Caching requests to avoid duplicite addRequest() calls.
-        // Key is computed using getRequestId() and value is { id, isHandled }.
+        // Key is computed using getRequestId() and value is { id, isHandled, priority }.
         this.requestsCache = new LruCache({ maxLength: MAX_CACHED_REQUESTS });
 
         // This contains false if we were not able to get queue head with queueModifiedAt older than
@@ -173,9 +282,14 @@ export class RequestQueue {
     /**
      * Adds a request to the queue.
      *
+     * Requests with a higher `priority` are fetched first. The Apify API doesn't know about priorities so the queue
+     * orders only the requests in the queue head it has already fetched from the API and the requests added
+     * using this instance. Requests with a positive `priority` are therefore placed into the queue head right away.
+     *
      * @param {Request} request Request object
      * @param {Object} [opts]
-     * @param {Boolean} [opts.forefront] If `true`, the request will be added to the foremost position in the queue.
+     * @param {Boolean} [opts.forefront] If `true`, the request will be added to the foremost position
+     *                                   among the requests with the same priority.
      * @return {RequestOperationInfo}
      */
     addRequest(request, opts = {}) {
@@ -202,10 +316,12 @@ export class RequestQueue {
             .then((requestOperationInfo) => {
                 const { requestId } = requestOperationInfo;
 
-                this._cacheRequest(cacheKey, requestOperationInfo);
+                this._cacheRequest(cacheKey, requestOperationInfo, request.priority);
 
-                if (forefront && !this.requestIdsInProgress[requestId]) {
-                    this.queueHeadDict.add(requestId, requestId, true);
+                const shouldAddToHead = forefront || (request.priority > 0 && !requestOperationInfo.wasAlreadyHandled);
+
+                if (shouldAddToHead && !this.requestIdsInProgress[requestId]) {
+                    this.queueHeadDict.add(requestId, requestId, forefront, request.priority);
                 }
 
                 return requestOperationInfo;
@@ -271,7 +387,7 @@ export class RequestQueue {
             })
             .then((requestOperationInfo) => {
                 this._removeFromInProgress(request.id);
-                this._cacheRequest(getRequestId(request.uniqueKey), requestOperationInfo);
+                this._cacheRequest(getRequestId(request.uniqueKey), requestOperationInfo, request.priority);
 
                 return requestOperationInfo;
             });
@@ -284,10 +400,15 @@ export class RequestQueue {
      * @param {Object} [opts]
      * @param {Boolean} [opts.forefront=false] If true then requests gets returned to the begining of the queue
      *                                    and to the back of the queue otherwise.
+     * @param {Number} [opts.delayMillis=0] If set then the request stays in progress and gets returned to the queue
+     *                                      only after the given number of milliseconds. The promise then resolves
+     *                                      to `null` immediately, as the request is not updated yet.
      * @return {RequestOperationInfo}
      */
     reclaimRequest(request, opts = {}) {
-        const { forefront } = validateReclaimRequestParams(request, opts);
+        const { forefront, delayMillis } = validateReclaimRequestParams(request, opts);
+
+        if (delayMillis) return Promise.try(() => reclaimRequestLater(this, request, { forefront, delayMillis })).then(() => null);
 
         return requestQueues
             .updateRequest({
@@ -297,26 +418,35 @@ export class RequestQueue {
             })
             .then((requestOperationInfo) => {
                 this._removeFromInProgress(request.id);
-                this._cacheRequest(getRequestId(request.uniqueKey), requestOperationInfo);
+                this._cacheRequest(getRequestId(request.uniqueKey), requestOperationInfo, request.priority);
 
-                if (forefront) this.queueHeadDict.add(request.id, request.id, true);
+                if (forefront) this.queueHeadDict.add(request.id, request.id, true, request.priority);
 
                 return requestOperationInfo;
             });
     }
 
     /**
-     * Returns `true` if the next call to `fetchNextRequest()` will return `null`, otherwise it returns `false`.
+     * Returns `true` if the next call to `fetchNextRequest()` will return `null` and there are no requests
+     * waiting for their delayed reclaim, otherwise it returns `false`.
      * Note that even if the queue is empty, there might be some pending requests currently being processed.
      *
      * The function might occasionally return a false negative, but it should never return a false positive!
      *
+     * @param {Object} [opts]
+     * @param {Boolean} [opts.ignoreDelayedReclaims=false] If `true` then the requests waiting for their delayed reclaim are not counted.
      * @returns {boolean}
      */
-    isEmpty() {
+    isEmpty(opts = {}) {
+        const { ignoreDelayedReclaims } = validateIsEmptyParams(opts);
+
         return this
             ._ensureHeadIsNonEmpty()
-            .then(() => this.isHeadConsistent && this.queueHeadDict.length() === 0);
+            .then(() => {
+                return this.isHeadConsistent
+                    && this.queueHeadDict.length() === 0
+                    && (ignoreDelayedReclaims || _.isEmpty(this.delayedReclaims));
+            });
     }
 
     /**
@@ -328,7 +458,22 @@ export class RequestQueue {
     isFinished() {
         return this
             ._ensureHeadIsNonEmpty()
-            .then(() => this.isHeadConsistent && this.inProgressCount === 0 && this.queueHeadDict.length() === 0);
+            .then(() => {
+                return this.isHeadConsistent
+                    && this.inProgressCount === 0
+                    && this.queueHeadDict.length() === 0
+                    && _.isEmpty(this.delayedReclaims);
+            });
+    }
+
+    /**
+     * Reclaims immediately the requests whose reclaim was delayed using `opts.delayMillis` of `reclaimRequest()`,
+     * so that no timers are left behind. It's called by the crawlers when they finish or get aborted.
+     *
+     * @return {Promise}
+     */
+    reclaimDelayedRequests() {
+        return reclaimDelayedRequestsNow(this);
     }
 
     /**
@@ -336,15 +481,17 @@ export class RequestQueue {
      *
      * @ignore
      */
-    _cacheRequest(cacheKey, requestOperationInfo) {
+    _cacheRequest(cacheKey, requestOperationInfo, priority = 0) {
         checkParamOrThrow(cacheKey, 'cacheKey', 'String');
         checkParamOrThrow(requestOperationInfo, 'requestOperationInfo', 'Object');
         checkParamOrThrow(requestOperationInfo.requestId, 'requestOperationInfo.requestId', 'String');
         checkParamOrThrow(requestOperationInfo.wasAlreadyHandled, 'requestOperationInfo.wasAlreadyHandled', 'Boolean');
+        checkParamOrThrow(priority, 'priority', 'Number');
 
         this.requestsCache.add(cacheKey, {
             id: requestOperationInfo.requestId,
             isHandled: requestOperationInfo.wasAlreadyHandled,
+            priority,
         });
     }
 
@@ -397,10 +544,14 @@ export class RequestQueue {
                     queueId: this.queueId,
                 })
                 .then(({ items, queueModifiedAt }) => {
-                    items.forEach(({ id, uniqueKey }) => {
+                    items.forEach(({ id, uniqueKey, priority }) => {
                         if (!this.requestIdsInProgress[id]) {
-                            this.queueHeadDict.add(id, id, false);
-                            this._cacheRequest(getRequestId(uniqueKey), { requestId: id, wasAlreadyHandled: false });
+                            const cacheKey = getRequestId(uniqueKey);
+                            const cachedInfo = this.requestsCache.get(cacheKey);
+                            const headPriority = priority || (cachedInfo && cachedInfo.priority) || 0;
+
+                            this.queueHeadDict.add(id, id, false, headPriority);
+                            this._cacheRequest(cacheKey, { requestId: id, wasAlreadyHandled: false }, headPriority);
                         }
                     });
 
@@ -506,7 +657,9 @@ export class RequestQueueLocal {
         this.pendingCount = 0;
         this.inProgressCount = 0;
         this.requestIdToQueueOrderNo = {};
+        this.queueOrderNoToPriority = {};
         this.queueOrderNoInProgress = {};
+        this.delayedReclaims = {}; // Key is request ID, value is { request, forefront, timeout }.
 
         this.initializationPromise = this._initialize();
     }
@@ -537,6 +690,7 @@ export class RequestQueueLocal {
                 const queueOrderNo = filePathToQueueOrderNo(filepath);
 
                 this.requestIdToQueueOrderNo[request.id] = queueOrderNo;
+                this.queueOrderNoToPriority[queueOrderNo] = request.priority || 0;
             });
     }
 
@@ -602,6 +756,7 @@ export class RequestQueueLocal {
                 }
 
                 this.requestIdToQueueOrderNo[requestCopy.id] = queueOrderNo;
+                this.queueOrderNoToPriority[queueOrderNo] = request.priority;
                 if (!requestCopy.handledAt) this.pendingCount++;
 
                 const filePath = this._getFilePath(queueOrderNo, !!requestCopy.handledAt);
@@ -630,16 +785,14 @@ export class RequestQueueLocal {
         return this.initializationPromise
             .then(() => readdirPromised(this.localPendingEmulationPath))
             .then((files) => {
-                let queueOrderNo;
-
-                _.find(files, (filename) => {
-                    const no = filePathToQueueOrderNo(filename);
-
-                    if (!this.queueOrderNoInProgress[no]) {
-                        queueOrderNo = no;
-                        return true;
-                    }
-                });
+                // Requests with the highest priority go first, then the ones with the lowest queue order number.
+                const queueOrderNo = _.chain(files)
+                    .map(filePathToQueueOrderNo)
+                    .reject(no => this.queueOrderNoInProgress[no])
+                    .sortBy(no => no)
+                    .sortBy(no => -(this.queueOrderNoToPriority[no] || 0))
+                    .first()
+                    .value();
 
                 if (!queueOrderNo) return null;
 
@@ -680,7 +833,9 @@ export class RequestQueueLocal {
     }
 
     reclaimRequest(request, opts = {}) {
-        const { forefront } = validateReclaimRequestParams(request, opts);
+        const { forefront, delayMillis } = validateReclaimRequestParams(request, opts);
+
+        if (delayMillis) return Promise.try(() => reclaimRequestLater(this, request, { forefront, delayMillis })).then(() => null);
 
         return this.initializationPromise
             .then(() => {
@@ -692,6 +847,8 @@ export class RequestQueueLocal {
                 }
 
                 this.requestIdToQueueOrderNo[request.id] = newQueueOrderNo;
+                this.queueOrderNoToPriority[newQueueOrderNo] = this.queueOrderNoToPriority[oldQueueOrderNo];
+                delete this.queueOrderNoToPriority[oldQueueOrderNo];
 
                 return moveFilePromised(
                     this._getFilePath(oldQueueOrderNo),
@@ -708,14 +865,20 @@ export class RequestQueueLocal {
             }));
     }
 
-    isEmpty() {
+    isEmpty(opts = {}) {
+        const { ignoreDelayedReclaims } = validateIsEmptyParams(opts);
+
         return this.initializationPromise
-            .then(() => this.pendingCount === this.inProgressCount);
+            .then(() => this.pendingCount === this.inProgressCount && (ignoreDelayedReclaims || _.isEmpty(this.delayedReclaims)));
     }
 
     isFinished() {
         return this.initializationPromise
-            .then(() => this.pendingCount === 0);
+            .then(() => this.pendingCount === 0 && _.isEmpty(this.delayedReclaims));
+    }
+
+    reclaimDelayedRequests() {
+        return reclaimDelayedRequestsNow(this);
     }
 
     delete() {
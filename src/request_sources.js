@@ -0,0 +1,179 @@
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import { checkParamPrototypeOrThrow } from 'apify-shared/utilities';
+import Promise from 'bluebird';
+import _ from 'underscore';
+import { REQUEST_SOURCES_STRATEGIES } from './constants';
+import RequestList from './request_list';
+import { RequestQueue, RequestQueueLocal } from './request_queue';
+
+const SOURCE_PROTOTYPES = [RequestList, RequestQueue, RequestQueueLocal];
+
+/**
+ * Converts the item of the `requestSources` array to `{ source, weight, currentWeight }`.
+ *
+ * @ignore
+ */
+const normalizeSource = (item, index) => {
+    const isSource = _.some(SOURCE_PROTOTYPES, proto => item instanceof proto);
+    const { source, weight = 1 } = isSource ? { source: item } : item;
+
+    checkParamPrototypeOrThrow(source, `opts.sources[${index}].source`, SOURCE_PROTOTYPES, 'Apify.RequestList or Apify.RequestQueue');
+    checkParamOrThrow(weight, `opts.sources[${index}].weight`, 'Number');
+
+    if (weight <= 0) throw new Error(`Parameter "opts.sources[${index}].weight" must be a positive number!`);
+
+    return { source, weight, currentWeight: 0 };
+};
+
+/**
+ * Combines multiple `RequestList` and `RequestQueue` instances into a single source of requests.
+ * It provides the same `fetchNextRequest()`, `markRequestHandled()`, `reclaimRequest()`,
+ * `isEmpty()` and `isFinished()` functions and routes the requests back to the source they came from.
+ *
+ * With the `weighted` strategy the sources are picked using the smooth weighted round-robin algorithm,
+ * i.e. a source with weight `2` gets twice as many requests as a source with weight `1`, and the requests
+ * from different sources are interleaved. With the `priority` strategy the requests are fetched from the first
+ * non-empty source in the array. Empty sources are skipped with both strategies.
+ *
+ * @param {Object} opts
+ * @param {Array} opts.sources
+ *   Array of `RequestList` or `RequestQueue` instances or objects `{ source, weight }`, where `weight` defaults to `1`.
+ * @param {String} [opts.strategy='weighted']
+ *   Either `weighted` or `priority`.
+ * @ignore
+ */
+export default class RequestSources {
+    constructor(opts) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+
+        const { sources, strategy = REQUEST_SOURCES_STRATEGIES.WEIGHTED } = opts;
+
+        checkParamOrThrow(sources, 'opts.sources', 'Array');
+        checkParamOrThrow(strategy, 'opts.strategy', 'String');
+
+        if (!sources.length) throw new Error('Parameter "opts.sources" must not be empty!');
+        if (!_.contains(_.values(REQUEST_SOURCES_STRATEGIES), strategy)) {
+            throw new Error(`Parameter "opts.strategy" must be one of: ${_.values(REQUEST_SOURCES_STRATEGIES).join(', ')}!`);
+        }
+
+        this.sources = sources.map(normalizeSource);
+        this.strategy = strategy;
+
+        // Requests in progress, key is the Request object, value is the source it was fetched from.
+        this.requestToSource = new Map();
+    }
+
+    /**
+     * Fetches the next request from the sources in the order given by the strategy.
+     *
+     * @return {Promise<Request>}
+     */
+    fetchNextRequest() {
+        const fetchFromSources = ([source, ...otherSources]) => {
+            if (!source) return Promise.resolve(null);
+
+            return Promise
+                .resolve(source.fetchNextRequest())
+                .then((request) => {
+                    if (!request) return fetchFromSources(otherSources);
+
+                    this.requestToSource.set(request, source);
+
+                    return request;
+                });
+        };
+
+        return fetchFromSources(this._getOrderedSources());
+    }
+
+    /**
+     * Marks the request handled in the source it was fetched from.
+     *
+     * @param {Request} request
+     * @return {Promise}
+     */
+    markRequestHandled(request) {
+        const source = this._getRequestSource(request);
+        this.requestToSource.delete(request);
+
+        return source.markRequestHandled(request);
+    }
+
+    /**
+     * Reclaims the request back to the source it was fetched from.
+     *
+     * @param {Request} request
+     * @param {Object} [opts] Options passed to `reclaimRequest()` of the source.
+     * @return {Promise}
+     */
+    reclaimRequest(request, opts) {
+        const source = this._getRequestSource(request);
+        this.requestToSource.delete(request);
+
+        return source.reclaimRequest(request, opts);
+    }
+
+    /**
+     * Reclaims immediately the requests whose reclaim was delayed in all the sources.
+     *
+     * @return {Promise}
+     */
+    reclaimDelayedRequests() {
+        return Promise.mapSeries(this.sources, ({ source }) => source.reclaimDelayedRequests());
+    }
+
+    /**
+     * Resolves to `true` if all the sources are empty.
+     *
+     * @param {Object} [opts] Options passed to `isEmpty()` of the sources.
+     * @return {Promise<Boolean>}
+     */
+    isEmpty(opts) {
+        return Promise
+            .all(this.sources.map(({ source }) => source.isEmpty(opts)))
+            .then(results => _.all(results));
+    }
+
+    /**
+     * Resolves to `true` if all the sources are finished.
+     *
+     * @return {Promise<Boolean>}
+     */
+    isFinished() {
+        return Promise
+            .all(this.sources.map(({ source }) => source.isFinished()))
+            .then(results => _.all(results));
+    }
+
+    /**
+     * @ignore
+     */
+    _getRequestSource(request) {
+        const source = this.requestToSource.get(request);
+
+        if (!source) throw new Error(`Request ${request.uniqueKey} was not fetched from any of the sources!`);
+
+        return source;
+    }
+
+    /**
+     * Returns the sources in the order in which they should be asked for the next request.
+     * The weighted strategy picks the source with the highest current weight and then lowers its
+     * current weight by the total weight, the other sources follow in the order of their current weights.
+     *
+     * @ignore
+     */
+    _getOrderedSources() {
+        if (this.strategy === REQUEST_SOURCES_STRATEGIES.PRIORITY) return _.pluck(this.sources, 'source');
+
+        const totalWeight = _.reduce(this.sources, (sum, { weight }) => sum + weight, 0);
+
+        this.sources.forEach((item) => { item.currentWeight += item.weight; });
+
+        // Sorting is stable so the sources with the same current weight keep their order.
+        const ordered = _.sortBy(this.sources, item => -item.currentWeight);
+        ordered[0].currentWeight -= totalWeight;
+
+        return _.pluck(ordered, 'source');
+    }
+}
@@ -0,0 +1,235 @@
+import url from 'url';
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import log from 'apify-shared/log';
+import _ from 'underscore';
+import Promise from 'bluebird';
+import LruCache from 'apify-shared/lru_cache';
+import requestPromise from 'request-promise';
+import robotsParser from 'robots-parser';
+import { getValue, setValue } from './key_value_store';
+
+const DEFAULT_OPTIONS = {
+    userAgent: '*',
+    timeoutMillis: 10000,
+    cacheKeyPrefix: 'ROBOTS_TXT',
+    maxCacheAgeMillis: 24 * 60 * 60 * 1000,
+    maxCachedOrigins: 1000,
+};
+
+/**
+ * Returns the origin (protocol, hostname and port) of the given URL, e.g. `https://www.example.com:8080`.
+ *
+ * @ignore
+ */
+export const getOrigin = (requestUrl) => {
+    const { protocol, host } = url.parse(requestUrl);
+
+    return `${protocol}//${host}`;
+};
+
+/**
+ * Converts the origin to a string that can be used as a key-value store key.
+ *
+ * @ignore
+ */
+const getCacheKey = (prefix, origin) => `${prefix}-${origin.replace(/[^a-zA-Z0-9\-_.]/g, '-')}`;
+
+/**
+ * Downloads, caches and evaluates `robots.txt` files of the websites.
+ *
+ * The `robots.txt` file is downloaded once for each origin (protocol, hostname and port) and kept in memory,
+ * for at most `maxCachedOrigins` most recently used origins.
+ * If the `keyValueStore` option is provided then the file contents are also cached in the key-value store,
+ * so that they don't need to be downloaded again after the actor restarts. The instance used by the crawlers
+ * when their `robotsTxt` option is not set caches the files in the default key-value store.
+ * If the `robots.txt` file doesn't exist or cannot be downloaded then all the URLs of the origin are allowed.
+ *
+ * `BasicCrawler`, `PuppeteerCrawler`, `CheerioCrawler` and `Apify.utils.puppeteer.enqueueLinks()` use it
+ * when their `respectRobotsTxt` option is set. A custom instance can be passed to them using the `robotsTxt` option.
+ *
+ * Example usage:
+ *
+ * ```javascript
+ * const robotsTxt = new Apify.RobotsTxt({ userAgent: 'MyBot' });
+ *
+ * if (await robotsTxt.isAllowed('https://www.example.com/some/page')) {
+ *     // ...
+ * }
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {String} [options.userAgent='*']
+ *   User agent whose rules are evaluated. It's also sent in the `User-Agent` header when `robots.txt` is downloaded.
+ * @param {Number} [options.timeoutMillis=10000]
+ *   Timeout for download of the `robots.txt` file, in milliseconds.
+ * @param {KeyValueStore} [options.keyValueStore]
+ *   Key-value store, as returned by `Apify.openKeyValueStore()`, where the downloaded files are cached.
+ * @param {String} [options.cacheKeyPrefix='ROBOTS_TXT']
+ *   Prefix of the keys under which the files are cached in the key-value store.
+ * @param {Number} [options.maxCacheAgeMillis=86400000]
+ *   Files cached in the key-value store that are older than this are downloaded again.
+ * @param {Number} [options.maxCachedOrigins=1000]
+ *   Maximum number of origins whose parsed `robots.txt` files are kept in memory.
+ */
+export default class RobotsTxt {
+    constructor(opts = {}) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+
+        const { userAgent, timeoutMillis, keyValueStore, cacheKeyPrefix, maxCacheAgeMillis, maxCachedOrigins } = _.defaults(opts, DEFAULT_OPTIONS);
+
+        checkParamOrThrow(userAgent, 'opts.userAgent', 'String');
+        checkParamOrThrow(timeoutMillis, 'opts.timeoutMillis', 'Number');
+        checkParamOrThrow(keyValueStore, 'opts.keyValueStore', 'Maybe Object');
+        checkParamOrThrow(cacheKeyPrefix, 'opts.cacheKeyPrefix', 'String');
+        checkParamOrThrow(maxCacheAgeMillis, 'opts.maxCacheAgeMillis', 'Number');
+        checkParamOrThrow(maxCachedOrigins, 'opts.maxCachedOrigins', 'Number');
+
+        this.userAgent = userAgent;
+        this.timeoutMillis = timeoutMillis;
+        this.keyValueStore = keyValueStore;
+        this.cacheKeyPrefix = cacheKeyPrefix;
+        this.maxCacheAgeMillis = maxCacheAgeMillis;
+
+        // Key is origin, value is a promise resolving to the parsed robots.txt.
+        this.cache = new LruCache({ maxLength: maxCachedOrigins });
+    }
+
+    /**
+     * Resolves to `true` if the given URL may be crawled by the user agent.
+     *
+     * @param {String} requestUrl
+     * @return {Promise<Boolean>}
+     */
+    isAllowed(requestUrl) {
+        checkParamOrThrow(requestUrl, 'requestUrl', 'String');
+
+        return this._getRobots(requestUrl)
+            .then(robots => robots.isAllowed(requestUrl, this.userAgent) !== false);
+    }
+
+    /**
+     * Resolves to the `Crawl-delay` of the origin of the given URL in milliseconds,
+     * or to `null` if `robots.txt` doesn't define it.
+     *
+     * @param {String} requestUrl
+     * @return {Promise<Number>}
+     */
+    getCrawlDelayMillis(requestUrl) {
+        checkParamOrThrow(requestUrl, 'requestUrl', 'String');
+
+        return this._getRobots(requestUrl)
+            .then((robots) => {
+                const crawlDelaySecs = robots.getCrawlDelay(this.userAgent);
+
+                return _.isNumber(crawlDelaySecs) && !_.isNaN(crawlDelaySecs) ? crawlDelaySecs * 1000 : null;
+            });
+    }
+
+    /**
+     * Resolves to the sitemap URLs listed in `robots.txt` of the origin of the given URL.
+     *
+     * @param {String} requestUrl
+     * @return {Promise<String[]>}
+     */
+    getSitemaps(requestUrl) {
+        checkParamOrThrow(requestUrl, 'requestUrl', 'String');
+
+        return this._getRobots(requestUrl)
+            .then(robots => robots.getSitemaps());
+    }
+
+    /**
+     * @ignore
+     */
+    _getRobots(requestUrl) {
+        const origin = getOrigin(requestUrl);
+
+        let robotsPromise = this.cache.get(origin);
+
+        if (!robotsPromise) {
+            robotsPromise = this
+                ._loadContents(origin)
+                .then(contents => robotsParser(`${origin}/robots.txt`, contents || ''));
+            this.cache.add(origin, robotsPromise);
+        }
+
+        return robotsPromise;
+    }
+
+    /**
+     * Loads the contents of robots.txt from the key-value store or downloads it.
+     *
+     * @ignore
+     */
+    _loadContents(origin) {
+        if (!this.keyValueStore) return this._downloadContents(origin);
+
+        const key = getCacheKey(this.cacheKeyPrefix, origin);
+
+        return Promise.resolve(this.keyValueStore.getValue(key))
+            .catch((err) => {
+                log.warning('RobotsTxt: Cannot read cached robots.txt', { origin, errorMessage: err.message });
+
+                return null;
+            })
+            .then((cached) => {
+                if (cached && Date.now() - cached.downloadedAt < this.maxCacheAgeMillis) return cached.contents;
+
+                return this
+                    ._downloadContents(origin)
+                    .then((contents) => {
+                        // Failed downloads are not cached so that they are retried next time.
+                        if (contents === null) return contents;
+
+                        return Promise.resolve(this.keyValueStore.setValue(key, { contents, downloadedAt: Date.now() }))
+                            .catch(err => log.exception(err, 'RobotsTxt: Cannot cache robots.txt', { origin }))
+                            .then(() => contents);
+                    });
+            });
+    }
+
+    /**
+     * Downloads robots.txt of the given origin. Resolves to an empty string, i.e. everything is allowed,
+     * if the file doesn't exist or to `null` if it cannot be downloaded.
+     *
+     * @ignore
+     */
+    _downloadContents(origin) {
+        const robotsTxtUrl = `${origin}/robots.txt`;
+
+        return Promise
+            .resolve(requestPromise({
+                url: robotsTxtUrl,
+                headers: { 'User-Agent': this.userAgent },
+                timeout: this.timeoutMillis,
+                resolveWithFullResponse: true,
+                simple: false,
+            }))
+            .then((response) => {
+                if (response.statusCode >= 200 && response.statusCode < 300) return response.body;
+
+                log.debug('RobotsTxt: robots.txt not available, all URLs are allowed', { url: robotsTxtUrl, statusCode: response.statusCode });
+
+                return '';
+            })
+            .catch((err) => {
+                log.warning('RobotsTxt: Cannot download robots.txt, all URLs are allowed', { url: robotsTxtUrl, errorMessage: err.message });
+
+                return null;
+            });
+    }
+}
+
+let defaultRobotsTxt;
+
+/**
+ * Returns a shared instance with the default options, used when `respectRobotsTxt` is set without `robotsTxt`.
+ * It caches the files in the default key-value store.
+ *
+ * @ignore
+ */
+export const getDefaultRobotsTxt = () => {
+    if (!defaultRobotsTxt) defaultRobotsTxt = new RobotsTxt({ keyValueStore: { getValue, setValue } });
+
+    return defaultRobotsTxt;
+};
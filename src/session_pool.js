@@ -0,0 +1,390 @@
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import log from 'apify-shared/log';
+import { cryptoRandomObjectId } from 'apify-shared/utilities';
+import _ from 'underscore';
+import Promise from 'bluebird';
+import { Cookie, CookieJar } from 'tough-cookie';
+import { getApifyProxyUrl } from './actor';
+import events from './events';
+import { ACTOR_EVENT_NAMES } from './constants';
+import { getValue, setValue } from './key_value_store';
+import { publicUtils } from './utils';
+
+const DEFAULT_SESSION_OPTIONS = {
+    maxErrorScore: 3,
+    errorScoreDecrement: 0.5,
+    maxUsageCount: 50,
+    maxAgeSecs: 3000,
+};
+
+const DEFAULT_OPTIONS = {
+    maxPoolSize: 20,
+    sessionOptions: {},
+    useApifyProxy: false,
+};
+
+/**
+ * Converts a cookie in the format used by Puppeteer to a tough-cookie `Cookie`.
+ *
+ * @ignore
+ */
+const puppeteerCookieToCookie = ({ name, value, domain, path, expires, httpOnly, secure }) => {
+    return new Cookie({
+        key: name,
+        value,
+        domain: domain ? domain.replace(/^\./, '') : null,
+        hostOnly: !domain || domain[0] !== '.',
+        path: path || '/',
+        expires: expires > 0 ? new Date(expires * 1000) : 'Infinity',
+        httpOnly: !!httpOnly,
+        secure: !!secure,
+    });
+};
+
+/**
+ * Converts a tough-cookie `Cookie` to the format used by Puppeteer.
+ *
+ * @ignore
+ */
+const cookieToPuppeteerCookie = (cookie) => {
+    return {
+        name: cookie.key,
+        value: cookie.value,
+        domain: cookie.hostOnly ? cookie.domain : `.${cookie.domain}`,
+        path: cookie.path,
+        expires: cookie.expires instanceof Date ? Math.round(cookie.expires.getTime() / 1000) : -1,
+        httpOnly: cookie.httpOnly,
+        secure: cookie.secure,
+    };
+};
+
+/**
+ * Represents a single identity of the crawler, i.e. an Apify Proxy session, a cookie jar and a user agent
+ * that are used together for a series of requests. Sessions are created and handed out by `SessionPool`.
+ *
+ * Each session has an error score that is increased by `markBad()` and decreased by `markGood()`.
+ * Once the error score reaches `maxErrorScore`, the session is used `maxUsageCount` times,
+ * it's older than `maxAgeSecs` or `retire()` is called, e.g. because the website blocked it,
+ * the session is not usable anymore and `SessionPool` discards it.
+ *
+ * @param {Object} options
+ * @param {String} [options.id] Identifier of the session. It's also used as the Apify Proxy session identifier.
+ * @param {String} [options.userAgent] User agent of the session. By default a random one is used.
+ * @param {String} [options.proxyUrl] Proxy URL of the session.
+ * @param {Number} [options.maxErrorScore=3] Error score at which the session is considered blocked.
+ * @param {Number} [options.errorScoreDecrement=0.5] How much `markGood()` decreases the error score.
+ * @param {Number} [options.maxUsageCount=50] How many times the session can be used.
+ * @param {Number} [options.maxAgeSecs=3000] How long the session can be used, in seconds.
+ * @param {Object} [options.state] The state returned by `session.getState()` to restore the session from.
+ */
+export class Session {
+    constructor(opts = {}) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+
+        const {
+            id,
+            userAgent,
+            proxyUrl,
+            maxErrorScore,
+            errorScoreDecrement,
+            maxUsageCount,
+            maxAgeSecs,
+            state,
+        } = _.defaults({}, opts, DEFAULT_SESSION_OPTIONS);
+
+        checkParamOrThrow(id, 'opts.id', 'Maybe String');
+        checkParamOrThrow(userAgent, 'opts.userAgent', 'Maybe String');
+        checkParamOrThrow(proxyUrl, 'opts.proxyUrl', 'Maybe String');
+        checkParamOrThrow(maxErrorScore, 'opts.maxErrorScore', 'Number');
+        checkParamOrThrow(errorScoreDecrement, 'opts.errorScoreDecrement', 'Number');
+        checkParamOrThrow(maxUsageCount, 'opts.maxUsageCount', 'Number');
+        checkParamOrThrow(maxAgeSecs, 'opts.maxAgeSecs', 'Number');
+        checkParamOrThrow(state, 'opts.state', 'Maybe Object');
+
+        this.maxErrorScore = maxErrorScore;
+        this.errorScoreDecrement = errorScoreDecrement;
+        this.maxUsageCount = maxUsageCount;
+
+        if (state) {
+            this.id = state.id;
+            this.userAgent = state.userAgent;
+            this.proxyUrl = state.proxyUrl;
+            this.usageCount = state.usageCount;
+            this.errorScore = state.errorScore;
+            this.createdAt = new Date(state.createdAt);
+            this.expiresAt = new Date(state.expiresAt);
+            this.cookieJar = CookieJar.deserializeSync(state.cookieJar);
+        } else {
+            this.id = id || `session_${cryptoRandomObjectId(10)}`;
+            this.userAgent = userAgent || publicUtils.getRandomUserAgent();
+            this.proxyUrl = proxyUrl;
+            this.usageCount = 0;
+            this.errorScore = 0;
+            this.createdAt = new Date();
+            this.expiresAt = new Date(this.createdAt.getTime() + (maxAgeSecs * 1000));
+            this.cookieJar = new CookieJar();
+        }
+    }
+
+    /**
+     * Returns `true` if the session can still be used.
+     *
+     * @return {Boolean}
+     */
+    isUsable() {
+        return this.errorScore < this.maxErrorScore
+            && this.usageCount < this.maxUsageCount
+            && Date.now() < this.expiresAt.getTime();
+    }
+
+    /**
+     * Records a successful usage of the session and decreases its error score.
+     */
+    markGood() {
+        this.usageCount++;
+        this.errorScore = Math.max(0, this.errorScore - this.errorScoreDecrement);
+    }
+
+    /**
+     * Records a failed usage of the session and increases its error score.
+     */
+    markBad() {
+        this.usageCount++;
+        this.errorScore++;
+    }
+
+    /**
+     * Makes the session unusable, e.g. because it was blocked by the website.
+     */
+    retire() {
+        this.errorScore = Math.max(this.errorScore, this.maxErrorScore);
+    }
+
+    /**
+     * Returns the value of the `Cookie` header for a request to the given URL.
+     *
+     * @param {String} url
+     * @return {String}
+     */
+    getCookieString(url) {
+        return this.cookieJar.getCookieStringSync(url);
+    }
+
+    /**
+     * Stores the cookies from the `Set-Cookie` headers of the given HTTP response.
+     *
+     * @param {Object} response Response of the `request` package or `http.IncomingMessage`.
+     */
+    setCookiesFromResponse(response) {
+        const url = response.request ? response.request.uri.href : response.url;
+        const setCookieHeaders = [].concat(response.headers['set-cookie'] || []);
+
+        setCookieHeaders.forEach(header => this.cookieJar.setCookieSync(header, url, { ignoreError: true }));
+    }
+
+    /**
+     * Returns the cookies for the given URL in the format of Puppeteer's `page.cookies()`,
+     * so that they can be passed to `page.setCookie()`.
+     *
+     * @param {String} url
+     * @return {Object[]}
+     */
+    getPuppeteerCookies(url) {
+        return this.cookieJar.getCookiesSync(url).map(cookieToPuppeteerCookie);
+    }
+
+    /**
+     * Stores the cookies returned by Puppeteer's `page.cookies()`.
+     *
+     * @param {Object[]} cookies
+     * @param {String} url URL of the page the cookies come from.
+     */
+    setPuppeteerCookies(cookies, url) {
+        checkParamOrThrow(cookies, 'cookies', '[Object]');
+
+        cookies.forEach(cookie => this.cookieJar.setCookieSync(puppeteerCookieToCookie(cookie), url, { ignoreError: true }));
+    }
+
+    /**
+     * Returns an object representing the state of the session that can be used to restore it
+     * using the `state` option.
+     *
+     * @return {Object}
+     */
+    getState() {
+        return {
+            id: this.id,
+            userAgent: this.userAgent,
+            proxyUrl: this.proxyUrl,
+            usageCount: this.usageCount,
+            errorScore: this.errorScore,
+            createdAt: this.createdAt.toISOString(),
+            expiresAt: this.expiresAt.toISOString(),
+            cookieJar: this.cookieJar.serializeSync(),
+        };
+    }
+}
+
+/**
+ * Manages a pool of sessions, see the `Session` class. Each session ties together an Apify Proxy session,
+ * a cookie jar and a user agent, so that a series of requests looks like coming from a single user.
+ *
+ * `getSession()` creates new sessions until the pool is full and then hands out randomly the existing ones,
+ * so the pool should be small enough for the sessions to be reused and keep their cookies.
+ * The sessions that are not usable anymore, e.g. because they were blocked or failed too many times,
+ * are discarded and replaced by new ones.
+ *
+ * If `persistStateKey` is set then the pool is persisted to the default key-value store on each `persistState` event
+ * and restored from it by `initialize()`, so that the sessions survive actor migration.
+ *
+ * The pool is created automatically by `BasicCrawler`, `PuppeteerCrawler` and `CheerioCrawler`
+ * when their `useSessionPool` option is set.
+ *
+ * Example usage:
+ *
+ * ```javascript
+ * const sessionPool = new Apify.SessionPool({ maxPoolSize: 10, useApifyProxy: true });
+ * await sessionPool.initialize();
+ *
+ * const session = sessionPool.getSession();
+ * const html = await request({
+ *     url: 'https://www.example.com',
+ *     proxy: session.proxyUrl,
+ *     headers: { 'User-Agent': session.userAgent, Cookie: session.getCookieString('https://www.example.com') },
+ * });
+ *
+ * if (isBlocked(html)) session.retire();
+ * else session.markGood();
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.maxPoolSize=20] Maximum number of sessions in the pool, i.e. the number of identities used in parallel.
+ *   Each session is used for about `requestCount / maxPoolSize` requests until it's no longer usable.
+ * @param {Object} [options.sessionOptions] Options passed to the `Session` constructor,
+ *   such as `maxErrorScore`, `maxUsageCount` or `maxAgeSecs`.
+ * @param {Boolean} [options.useApifyProxy=false] If set to `true` then each session gets its own Apify Proxy session
+ *   in its `proxyUrl`.
+ * @param {String[]} [options.apifyProxyGroups] Apify Proxy groups to be used by the sessions.
+ * @param {String} [options.persistStateKey] Key-value store key under which the pool is persisted.
+ */
+export default class SessionPool {
+    constructor(opts = {}) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+
+        const { maxPoolSize, sessionOptions, useApifyProxy, apifyProxyGroups, persistStateKey } = _.defaults({}, opts, DEFAULT_OPTIONS);
+
+        checkParamOrThrow(maxPoolSize, 'opts.maxPoolSize', 'Number');
+        checkParamOrThrow(sessionOptions, 'opts.sessionOptions', 'Object');
+        checkParamOrThrow(useApifyProxy, 'opts.useApifyProxy', 'Boolean');
+        checkParamOrThrow(apifyProxyGroups, 'opts.apifyProxyGroups', 'Maybe [String]');
+        checkParamOrThrow(persistStateKey, 'opts.persistStateKey', 'Maybe String');
+
+        this.maxPoolSize = maxPoolSize;
+        this.sessionOptions = sessionOptions;
+        this.useApifyProxy = useApifyProxy;
+        this.apifyProxyGroups = apifyProxyGroups;
+        this.persistStateKey = persistStateKey;
+
+        this.sessions = [];
+        this.persistStateListener = () => this.persistState();
+    }
+
+    /**
+     * Restores the persisted sessions, if `persistStateKey` is set, and starts persisting them on `persistState` events.
+     *
+     * @return {Promise}
+     */
+    initialize() {
+        if (!this.persistStateKey) return Promise.resolve();
+
+        events.on(ACTOR_EVENT_NAMES.PERSIST_STATE, this.persistStateListener);
+
+        return getValue(this.persistStateKey)
+            .then((state) => {
+                if (!state) return;
+
+                this.sessions = state.sessions
+                    .map(sessionState => new Session(_.extend({}, this.sessionOptions, { state: sessionState })))
+                    .filter(session => session.isUsable());
+
+                log.info('SessionPool: restored persisted sessions', { count: this.sessions.length });
+            });
+    }
+
+    /**
+     * Persists the pool for the last time and stops persisting it on `persistState` events.
+     *
+     * @return {Promise}
+     */
+    teardown() {
+        events.removeListener(ACTOR_EVENT_NAMES.PERSIST_STATE, this.persistStateListener);
+
+        return this.persistState();
+    }
+
+    /**
+     * Returns a usable session. New sessions are created until the pool reaches `maxPoolSize`,
+     * then a random existing session is returned.
+     *
+     * @return {Session}
+     */
+    getSession() {
+        this._removeUnusableSessions();
+
+        if (this.sessions.length < this.maxPoolSize) return this._createSession();
+
+        return _.sample(this.sessions);
+    }
+
+    /**
+     * Returns an object representing the state of the pool.
+     *
+     * @return {Object}
+     */
+    getState() {
+        return {
+            sessions: this.sessions.map(session => session.getState()),
+        };
+    }
+
+    /**
+     * Persists the state of the pool to the default key-value store under the `persistStateKey` key.
+     * Errors are only logged.
+     *
+     * @return {Promise}
+     * @ignore
+     */
+    persistState() {
+        if (!this.persistStateKey) return Promise.resolve();
+
+        return setValue(this.persistStateKey, this.getState())
+            .catch((err) => {
+                log.exception(err, 'SessionPool: Cannot persist state', { persistStateKey: this.persistStateKey });
+            });
+    }
+
+    /**
+     * @ignore
+     */
+    _createSession() {
+        const session = new Session(this.sessionOptions);
+
+        if (this.useApifyProxy) session.proxyUrl = getApifyProxyUrl({ session: session.id, groups: this.apifyProxyGroups });
+
+        this.sessions.push(session);
+
+        return session;
+    }
+
+    /**
+     * @ignore
+     */
+    _removeUnusableSessions() {
+        const usableSessions = this.sessions.filter(session => session.isUsable());
+        const removedCount = this.sessions.length - usableSessions.length;
+
+        if (removedCount) log.debug('SessionPool: removing sessions that are not usable anymore', { count: removedCount });
+
+        this.sessions = usableSessions;
+    }
+}
@@ -0,0 +1,119 @@
+import zlib from 'zlib';
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import log from 'apify-shared/log';
+import _ from 'underscore';
+import Promise from 'bluebird';
+import cheerio from 'cheerio';
+import requestPromise from 'request-promise';
+
+const gunzipPromised = Promise.promisify(zlib.gunzip);
+
+// Maximum depth of nested sitemap index files, to prevent infinite loops.
+const MAX_SITEMAP_DEPTH = 5;
+
+/**
+ * Returns `true` if the buffer starts with the gzip magic number.
+ *
+ * @ignore
+ */
+const isGzipped = buffer => buffer.length > 1 && buffer[0] === 0x1f && buffer[1] === 0x8b;
+
+/**
+ * Returns `true` if the `<lastmod>` date is unknown or not older than `lastModifiedAfter`.
+ *
+ * @ignore
+ */
+const isModifiedAfter = (lastmod, lastModifiedAfter) => {
+    if (!lastModifiedAfter || !lastmod) return true;
+
+    const lastModifiedAt = new Date(lastmod);
+
+    return _.isNaN(lastModifiedAt.getTime()) || lastModifiedAt >= lastModifiedAfter;
+};
+
+/**
+ * Downloads the sitemap, decompresses it if needed and returns its contents as a string.
+ *
+ * @ignore
+ */
+const downloadSitemap = (url) => {
+    return Promise
+        .resolve(requestPromise.get({ url, encoding: null, gzip: true }))
+        .then(buffer => (isGzipped(buffer) ? gunzipPromised(buffer) : buffer))
+        .then(buffer => buffer.toString('utf8'));
+};
+
+/**
+ * Parses the sitemap or sitemap index XML and returns the `<loc>` and `<lastmod>` of its entries.
+ *
+ * @ignore
+ */
+const parseSitemap = (xml) => {
+    const $ = cheerio.load(xml, { xmlMode: true });
+    const getEntries = selector => $(selector)
+        .map((i, el) => ({
+            loc: $(el).children('loc').text().trim(),
+            lastmod: $(el).children('lastmod').text().trim(),
+        }))
+        .get()
+        .filter(entry => !!entry.loc);
+
+    return {
+        sitemaps: getEntries('sitemapindex > sitemap'),
+        urls: getEntries('urlset > url'),
+    };
+};
+
+/**
+ * Downloads the sitemap from the given URL and returns the URLs it contains.
+ * Sitemap index files are followed recursively and gzipped sitemaps are decompressed.
+ *
+ * @param {Object} options
+ * @param {String} options.url URL of the sitemap or sitemap index.
+ * @param {RegExp} [options.regex] Only URLs matching this regular expression are returned.
+ * @param {Date} [options.lastModifiedAfter] Only URLs and nested sitemaps whose `<lastmod>` is missing
+ *                                           or not older than this date are returned.
+ * @return {Promise<String[]>}
+ * @ignore
+ */
+export const downloadSitemapUrls = ({ url, regex, lastModifiedAfter }) => {
+    try {
+        checkParamOrThrow(url, 'url', 'String');
+        checkParamOrThrow(regex, 'regex', 'Maybe RegExp');
+        checkParamOrThrow(lastModifiedAfter, 'lastModifiedAfter', 'Maybe Date');
+    } catch (err) {
+        return Promise.reject(err);
+    }
+
+    const visitedSitemapUrls = {};
+    const matchesRegex = entryUrl => !regex || !!entryUrl.match(regex);
+
+    const processSitemap = (sitemapUrl, depth) => {
+        if (visitedSitemapUrls[sitemapUrl]) return Promise.resolve([]);
+        visitedSitemapUrls[sitemapUrl] = true;
+
+        if (depth > MAX_SITEMAP_DEPTH) {
+            log.warning('Sitemap: Maximum depth of nested sitemaps exceeded, skipping', { sitemapUrl });
+
+            return Promise.resolve([]);
+        }
+
+        return downloadSitemap(sitemapUrl)
+            .then((xml) => {
+                const { sitemaps, urls } = parseSitemap(xml);
+                const pageUrls = urls
+                    .filter(entry => isModifiedAfter(entry.lastmod, lastModifiedAfter))
+                    .map(entry => entry.loc)
+                    .filter(matchesRegex);
+                const nestedSitemapUrls = sitemaps
+                    .filter(entry => isModifiedAfter(entry.lastmod, lastModifiedAfter))
+                    .map(entry => entry.loc);
+
+                return Promise
+                    .mapSeries(nestedSitemapUrls, nestedSitemapUrl => processSitemap(nestedSitemapUrl, depth + 1))
+                    .then(nestedUrls => pageUrls.concat(_.flatten(nestedUrls)));
+            });
+    };
+
+    return processSitemap(url, 0);
+};
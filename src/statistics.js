@@ -0,0 +1,310 @@
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import log from 'apify-shared/log';
+import _ from 'underscore';
+import Promise from 'bluebird';
+import events from './events';
+import { ACTOR_EVENT_NAMES } from './constants';
+import { getValue, setValue } from './key_value_store';
+
+const DEFAULT_OPTIONS = {
+    logIntervalMillis: 60000,
+    logMessage: 'Crawler statistics',
+};
+
+// Number of the most recent request durations kept for computation of the percentiles.
+const MAX_DURATION_SAMPLES = 1000;
+
+/**
+ * Returns the given percentile of an array of numbers sorted in ascending order.
+ *
+ * @ignore
+ */
+const getPercentile = (sortedValues, percentile) => {
+    if (!sortedValues.length) return null;
+
+    const index = Math.ceil((percentile / 100) * sortedValues.length) - 1;
+
+    return sortedValues[Math.max(index, 0)];
+};
+
+/**
+ * Tracks statistics about the processed requests, such as the number of finished, failed and retried requests,
+ * request durations or processing speed. The statistics are periodically logged and, if `persistStateKey` is provided,
+ * persisted to the default key-value store on `persistState` events so that they survive actor migration.
+ *
+ * Note that the persistence is opt-in, the same way as for `RequestList`. Without `persistStateKey`
+ * the statistics start from zero after each migration or restart of the actor.
+ *
+ * The instance is available as `crawler.stats` in `BasicCrawler`, `PuppeteerCrawler` and `CheerioCrawler`
+ * and the final statistics are returned by their `run()` function. The object returned by `calculate()` looks as follows:
+ *
+ * ```javascript
+ * {
+ *     requestsFinished: 98,
+ *     requestsFailed: 2,
+ *     requestsRetries: 7,
+ *     requestsFinishedPerMinute: 120,
+ *     requestsFailedPerMinute: 2,
+ *     requestMinDurationMillis: 52,
+ *     requestAvgDurationMillis: 456,
+ *     requestMaxDurationMillis: 3108,
+ *     requestDurationPercentilesMillis: { 50: 302, 90: 1201, 99: 2930 },
+ *     requestRetryHistogram: [93, 5, 0, 2],
+ *     crawlerRuntimeMillis: 50000,
+ * }
+ * ```
+ *
+ * `requestRetryHistogram` contains the number of handled requests indexed by the number of their retries.
+ * The percentiles are computed from the last 1000 request durations.
+ *
+ * @param {Object} [options]
+ * @param {String} [options.persistStateKey]
+ *   Key-value store key under which the statistics are persisted. If it is set then the statistics
+ *   are loaded from the default key-value store by `startCapturing()` and persisted on each `persistState` event.
+ *   By default the statistics are not persisted.
+ * @param {Number} [options.logIntervalMillis=60000]
+ *   How often the statistics are logged. Set it to `0` to disable the logging.
+ * @param {String} [options.logMessage='Crawler statistics']
+ *   Message logged along with the statistics.
+ */
+export default class Statistics {
+    constructor(opts = {}) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+
+        const { persistStateKey, logIntervalMillis, logMessage } = _.defaults(opts, DEFAULT_OPTIONS);
+
+        checkParamOrThrow(persistStateKey, 'opts.persistStateKey', 'Maybe String');
+        checkParamOrThrow(logIntervalMillis, 'opts.logIntervalMillis', 'Number');
+        checkParamOrThrow(logMessage, 'opts.logMessage', 'String');
+
+        this.persistStateKey = persistStateKey;
+        this.logIntervalMillis = logIntervalMillis;
+        this.logMessage = logMessage;
+
+        this.requestsFinished = 0;
+        this.requestsFailed = 0;
+        this.requestsRetries = 0;
+        this.requestRetryHistogram = [];
+        this.requestTotalDurationMillis = 0;
+        this.requestMinDurationMillis = null;
+        this.requestMaxDurationMillis = null;
+        this.requestRecentDurationsMillis = [];
+
+        // Runtime of the previous runs restored from the persisted state.
+        this.previousRuntimeMillis = 0;
+        this.startedAt = null;
+
+        // Dictionary, key is Request.uniqueKey, value is the time when the processing of the request started.
+        this.requestsInProgress = {};
+
+        this.logInterval = null;
+        this.persistStateListener = () => this.persistState();
+    }
+
+    /**
+     * Loads the persisted statistics, if any, and starts logging them periodically.
+     *
+     * @return {Promise}
+     */
+    startCapturing() {
+        if (this.startedAt) throw new Error('Statistics are already being captured.');
+        this.startedAt = Date.now();
+
+        if (this.logIntervalMillis) this.logInterval = setInterval(() => this.log(), this.logIntervalMillis);
+        if (!this.persistStateKey) return Promise.resolve();
+
+        events.on(ACTOR_EVENT_NAMES.PERSIST_STATE, this.persistStateListener);
+
+        return getValue(this.persistStateKey)
+            .then((state) => {
+                if (state) this._restoreState(state);
+            });
+    }
+
+    /**
+     * Stops logging of the statistics and persists them for the last time.
+     *
+     * @return {Promise}
+     */
+    stopCapturing() {
+        if (!this.startedAt) return Promise.resolve();
+
+        clearInterval(this.logInterval);
+        this.logInterval = null;
+        events.removeListener(ACTOR_EVENT_NAMES.PERSIST_STATE, this.persistStateListener);
+
+        return this.persistState()
+            .then(() => this._finishRuntime());
+    }
+
+    /**
+     * Marks the beginning of processing of the given request.
+     *
+     * @param {Request} request
+     */
+    startJob(request) {
+        this.requestsInProgress[request.uniqueKey] = Date.now();
+    }
+
+    /**
+     * Marks the given request as successfully handled.
+     *
+     * @param {Request} request
+     */
+    finishJob(request) {
+        this.requestsFinished++;
+        this._finishJob(request);
+    }
+
+    /**
+     * Marks the given request as failed after all its retries.
+     *
+     * @param {Request} request
+     */
+    failJob(request) {
+        this.requestsFailed++;
+        this._finishJob(request);
+    }
+
+    /**
+     * Marks that the processing of the given request failed and the request is going to be retried.
+     *
+     * @param {Request} request
+     */
+    retryJob(request) {
+        this.requestsRetries++;
+        delete this.requestsInProgress[request.uniqueKey];
+    }
+
+    /**
+     * Returns an object with the current statistics.
+     *
+     * @return {Object}
+     */
+    calculate() {
+        const crawlerRuntimeMillis = this._getRuntimeMillis();
+        const runtimeMinutes = crawlerRuntimeMillis / 60000;
+        const requestsHandled = this.requestsFinished + this.requestsFailed;
+        const sortedDurations = _.sortBy(this.requestRecentDurationsMillis);
+        const perMinute = count => (runtimeMinutes ? Math.round(count / runtimeMinutes) : 0);
+
+        return {
+            requestsFinished: this.requestsFinished,
+            requestsFailed: this.requestsFailed,
+            requestsRetries: this.requestsRetries,
+            requestsFinishedPerMinute: perMinute(this.requestsFinished),
+            requestsFailedPerMinute: perMinute(this.requestsFailed),
+            requestMinDurationMillis: this.requestMinDurationMillis,
+            requestAvgDurationMillis: requestsHandled ? Math.round(this.requestTotalDurationMillis / requestsHandled) : null,
+            requestMaxDurationMillis: this.requestMaxDurationMillis,
+            requestDurationPercentilesMillis: {
+                50: getPercentile(sortedDurations, 50),
+                90: getPercentile(sortedDurations, 90),
+                99: getPercentile(sortedDurations, 99),
+            },
+            requestRetryHistogram: this.requestRetryHistogram.map(count => count || 0),
+            crawlerRuntimeMillis,
+        };
+    }
+
+    /**
+     * Logs the current statistics.
+     */
+    log() {
+        log.info(this.logMessage, this.calculate());
+    }
+
+    /**
+     * Returns an object representing the internal state of the statistics that can be later
+     * restored using the `persistStateKey` option.
+     *
+     * @return {Object}
+     */
+    getState() {
+        return {
+            requestsFinished: this.requestsFinished,
+            requestsFailed: this.requestsFailed,
+            requestsRetries: this.requestsRetries,
+            requestRetryHistogram: this.requestRetryHistogram.map(count => count || 0),
+            requestTotalDurationMillis: this.requestTotalDurationMillis,
+            requestMinDurationMillis: this.requestMinDurationMillis,
+            requestMaxDurationMillis: this.requestMaxDurationMillis,
+            requestRecentDurationsMillis: this.requestRecentDurationsMillis,
+            crawlerRuntimeMillis: this._getRuntimeMillis(),
+        };
+    }
+
+    /**
+     * Persists the state of the statistics to the default key-value store under the `persistStateKey` key.
+     * Errors are only logged.
+     *
+     * @return {Promise}
+     * @ignore
+     */
+    persistState() {
+        if (!this.persistStateKey) return Promise.resolve();
+
+        return setValue(this.persistStateKey, this.getState())
+            .catch((err) => {
+                log.exception(err, 'Statistics: Cannot persist state', { persistStateKey: this.persistStateKey });
+            });
+    }
+
+    /**
+     * @ignore
+     */
+    _finishJob(request) {
+        const startedAt = this.requestsInProgress[request.uniqueKey];
+        delete this.requestsInProgress[request.uniqueKey];
+
+        const { retryCount } = request;
+        this.requestRetryHistogram[retryCount] = (this.requestRetryHistogram[retryCount] || 0) + 1;
+
+        if (!startedAt) return;
+
+        const durationMillis = Date.now() - startedAt;
+
+        this.requestTotalDurationMillis += durationMillis;
+        this.requestMinDurationMillis = this.requestMinDurationMillis === null
+            ? durationMillis
+            : Math.min(this.requestMinDurationMillis, durationMillis);
+        this.requestMaxDurationMillis = Math.max(this.requestMaxDurationMillis || 0, durationMillis);
+        this.requestRecentDurationsMillis = this.requestRecentDurationsMillis
+            .concat(durationMillis)
+            .slice(-MAX_DURATION_SAMPLES);
+    }
+
+    /**
+     * @ignore
+     */
+    _getRuntimeMillis() {
+        return this.previousRuntimeMillis + (this.startedAt ? Date.now() - this.startedAt : 0);
+    }
+
+    /**
+     * @ignore
+     */
+    _finishRuntime() {
+        this.previousRuntimeMillis = this._getRuntimeMillis();
+        this.startedAt = null;
+    }
+
+    /**
+     * @ignore
+     */
+    _restoreState(state) {
+        _.extend(this, _.pick(
+            state,
+            'requestsFinished',
+            'requestsFailed',
+            'requestsRetries',
+            'requestRetryHistogram',
+            'requestTotalDurationMillis',
+            'requestMinDurationMillis',
+            'requestMaxDurationMillis',
+            'requestRecentDurationsMillis',
+        ));
+
+        this.previousRuntimeMillis = state.crawlerRuntimeMillis || 0;
+    }
+}
@@ -0,0 +1,192 @@
+import url from 'url';
+import { checkParamOrThrow } from 'apify-client/build/utils';
+import log from 'apify-shared/log';
+import _ from 'underscore';
+
+const DEFAULT_OPTIONS = {
+    maxPathDepth: 20,
+    maxRepeatedPathSegments: 3,
+    maxQueryCombinationsPerPath: 200,
+    maxUrlLength: 2000,
+};
+
+/**
+ * Returns the path with all the numbers replaced, so that e.g. `/calendar/2018/08` and `/calendar/2019/01`
+ * share the same pattern.
+ *
+ * @ignore
+ */
+const getPathPattern = (hostname, pathname) => `${hostname}${pathname.replace(/\d+/g, '0')}`;
+
+/**
+ * Returns the query string with the parameters sorted, so that their order doesn't matter.
+ *
+ * @ignore
+ */
+const getQueryCombination = query => query.split('&').filter(param => !!param).sort().join('&');
+
+/**
+ * Detects URLs that are likely to be crawler traps, such as calendars, faceted search
+ * or relative links that produce endless unique URLs, using the following heuristics:
+ *
+ * - the path has more than `maxPathDepth` segments,
+ * - some path segment repeats more than `maxRepeatedPathSegments` times, e.g. `/a/b/a/b/a/b/a/b`,
+ * - there were already `maxQueryCombinationsPerPath` distinct combinations of query parameters
+ *   for the path pattern, where numbers in the path are ignored,
+ * - the URL is longer than `maxUrlLength` characters.
+ *
+ * Each heuristic can be disabled by setting its option to `null`. `isAllowed()` only checks the URL, the query parameter
+ * combination of the URL is remembered once `record()` is called, i.e. after the URL was actually enqueued.
+ * The same instance should be used for the whole crawl. The numbers of URLs skipped by each heuristic are returned
+ * by `getSkippedCounts()`.
+ *
+ * `Apify.utils.puppeteer.enqueueLinks()` skips the trap URLs when an instance is passed as its `urlTrapDetector` option.
+ *
+ * Example usage:
+ *
+ * ```javascript
+ * const urlTrapDetector = new Apify.UrlTrapDetector({ maxQueryCombinationsPerPath: 50 });
+ *
+ * const crawler = new Apify.PuppeteerCrawler({
+ *     requestQueue,
+ *     handlePageFunction: async ({ page, request }) => {
+ *         await Apify.utils.puppeteer.enqueueLinks(page, 'a', pseudoUrls, requestQueue, { urlTrapDetector });
+ *     },
+ * });
+ *
+ * await crawler.run();
+ *
+ * console.log(urlTrapDetector.getSkippedCounts());
+ * ```
+ *
+ * @param {Object} [options]
+ * @param {Number} [options.maxPathDepth=20]
+ *   Maximum number of segments of the URL path.
+ * @param {Number} [options.maxRepeatedPathSegments=3]
+ *   Maximum number of occurrences of the same segment in the URL path.
+ * @param {Number} [options.maxQueryCombinationsPerPath=200]
+ *   Maximum number of distinct combinations of query parameters for a single path pattern.
+ * @param {Number} [options.maxUrlLength=2000]
+ *   Maximum length of the URL.
+ */
+export default class UrlTrapDetector {
+    constructor(opts = {}) {
+        checkParamOrThrow(opts, 'opts', 'Object');
+
+        const { maxPathDepth, maxRepeatedPathSegments, maxQueryCombinationsPerPath, maxUrlLength } = _.defaults(opts, DEFAULT_OPTIONS);
+
+        checkParamOrThrow(maxPathDepth, 'opts.maxPathDepth', 'Maybe Number');
+        checkParamOrThrow(maxRepeatedPathSegments, 'opts.maxRepeatedPathSegments', 'Maybe Number');
+        checkParamOrThrow(maxQueryCombinationsPerPath, 'opts.maxQueryCombinationsPerPath', 'Maybe Number');
+        checkParamOrThrow(maxUrlLength, 'opts.maxUrlLength', 'Maybe Number');
+
+        this.maxPathDepth = maxPathDepth;
+        this.maxRepeatedPathSegments = maxRepeatedPathSegments;
+        this.maxQueryCombinationsPerPath = maxQueryCombinationsPerPath;
+        this.maxUrlLength = maxUrlLength;
+
+        // Dictionary, key is path pattern, value is dictionary of the query combinations seen for it.
+        this.queryCombinations = {};
+
+        // Dictionary, key is the name of the option whose limit was exceeded, value is the number of skipped URLs.
+        this.skippedCounts = _.mapObject(DEFAULT_OPTIONS, () => 0);
+    }
+
+    /**
+     * Returns `false` and counts the URL as skipped if it's likely a trap, otherwise returns `true`.
+     * The query parameter combination of the URL is not remembered, call `record()` once the URL is enqueued.
+     *
+     * @param {String} requestUrl
+     * @return {Boolean}
+     */
+    isAllowed(requestUrl) {
+        checkParamOrThrow(requestUrl, 'requestUrl', 'String');
+
+        const reason = this._getTrapReason(requestUrl);
+
+        if (!reason) return true;
+
+        log.debug('UrlTrapDetector: Skipping URL that is likely a trap', { url: requestUrl, reason });
+        this.skippedCounts[reason]++;
+
+        return false;
+    }
+
+    /**
+     * Remembers the query parameter combination of the enqueued URL, so that it counts
+     * towards `maxQueryCombinationsPerPath`.
+     *
+     * @param {String} requestUrl
+     */
+    record(requestUrl) {
+        checkParamOrThrow(requestUrl, 'requestUrl', 'String');
+
+        const queryCombination = this._getQueryCombination(requestUrl);
+
+        if (!queryCombination) return;
+
+        const { pattern, combination } = queryCombination;
+
+        if (!this.queryCombinations[pattern]) this.queryCombinations[pattern] = {};
+        this.queryCombinations[pattern][combination] = true;
+    }
+
+    /**
+     * Returns the numbers of URLs skipped by each heuristic, e.g.
+     * `{ maxPathDepth: 0, maxRepeatedPathSegments: 2, maxQueryCombinationsPerPath: 10, maxUrlLength: 0 }`.
+     *
+     * @return {Object}
+     */
+    getSkippedCounts() {
+        return _.clone(this.skippedCounts);
+    }
+
+    /**
+     * Returns the path pattern and the query combination of the URL or `null` if they are not tracked.
+     *
+     * @ignore
+     */
+    _getQueryCombination(requestUrl) {
+        if (!_.isNumber(this.maxQueryCombinationsPerPath)) return null;
+
+        const { hostname, pathname, query } = url.parse(requestUrl);
+
+        if (!query) return null;
+
+        return {
+            pattern: getPathPattern(hostname, pathname || '/'),
+            combination: getQueryCombination(query),
+        };
+    }
+
+    /**
+     * Returns the name of the option whose limit the URL exceeds or `null`.
+     *
+     * @ignore
+     */
+    _getTrapReason(requestUrl) {
+        if (_.isNumber(this.maxUrlLength) && requestUrl.length > this.maxUrlLength) return 'maxUrlLength';
+
+        const { pathname } = url.parse(requestUrl);
+        const segments = (pathname || '').split('/').filter(segment => !!segment);
+
+        if (_.isNumber(this.maxPathDepth) && segments.length > this.maxPathDepth) return 'maxPathDepth';
+
+        if (_.isNumber(this.maxRepeatedPathSegments) && segments.length) {
+            const maxRepeats = _.max(_.values(_.countBy(segments, segment => segment)));
+
+            if (maxRepeats > this.maxRepeatedPathSegments) return 'maxRepeatedPathSegments';
+        }
+
+        const queryCombination = this._getQueryCombination(requestUrl);
+
+        if (!queryCombination) return null;
+
+        const combinations = this.queryCombinations[queryCombination.pattern] || {};
+
+        if (combinations[queryCombination.combination]) return null;
+        if (_.size(combinations) >= this.maxQueryCombinationsPerPath) return 'maxQueryCombinationsPerPath';
+
+        return null;
+    }
+}
@@ -257,6 +257,16 @@ export const isPromise = (maybePromise) => {
     return maybePromise && typeof maybePromise.then === 'function' && typeof maybePromise.catch === 'function';
 };
 
+/**
+ * Helper function that calls given hook functions one by one with the crawling context.
+ * Each hook may return a promise, the next hook is called only after it gets resolved.
+ *
+ * @ignore
+ */
+export const runHooks = (hooks, crawlingContext) => {
+    return Promise.mapSeries(hooks, hook => hook(crawlingContext));
+};
+
 /**
  * Returns true if node is in production environment and false otherwise.
  *
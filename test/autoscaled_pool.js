@@ -467,6 +467,103 @@ describe('AutoscaledPool', () => {
      * !!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!!
      */
 
+    it('should be possible to pause and resume the pool', async () => {
+        const range = _.range(0, 20);
+        const started = [];
+        let running = 0;
+
+        const pool = new Apify.AutoscaledPool({
+            minConcurrency: 2,
+            maxConcurrency: 2,
+            maybeRunIntervalMillis: 10,
+            runTaskFunction: () => {
+                if (!range.length) return null;
+
+                started.push(range.shift());
+                running++;
+
+                return delayPromise(20).then(() => { running--; });
+            },
+            isFinishedFunction: () => Promise.resolve(!range.length),
+            isTaskReadyFunction: () => Promise.resolve(range.length > 0),
+        });
+
+        const runPromise = pool.run();
+        await delayPromise(50);
+
+        await pool.pause();
+        expect(running).to.be.eql(0);
+        const startedCount = started.length;
+        expect(startedCount).to.be.within(2, 19);
+
+        await delayPromise(100);
+        expect(started).to.have.lengthOf(startedCount);
+
+        pool.resume();
+        await runPromise;
+
+        expect(started).to.be.eql(_.range(0, 20));
+    });
+
+    it('should be possible to abort the pool', async () => {
+        let started = 0;
+        let finished = 0;
+
+        const pool = new Apify.AutoscaledPool({
+            minConcurrency: 2,
+            maxConcurrency: 2,
+            maybeRunIntervalMillis: 10,
+            runTaskFunction: () => {
+                started++;
+
+                return delayPromise(100).then(() => { finished++; });
+            },
+            isFinishedFunction: () => Promise.resolve(false),
+            isTaskReadyFunction: () => Promise.resolve(true),
+        });
+
+        const startedAt = Date.now();
+        const runPromise = pool.run();
+        await delayPromise(50);
+        await pool.abort();
+        await runPromise;
+
+        expect(Date.now() - startedAt).to.be.below(100);
+        expect(started).to.be.eql(2);
+        expect(finished).to.be.eql(0);
+
+        await delayPromise(100);
+        expect(started).to.be.eql(2);
+        expect(finished).to.be.eql(2);
+    });
+
+    it('should resolve pause() and stop waiting for the running tasks on abort', async () => {
+        const pool = new Apify.AutoscaledPool({
+            minConcurrency: 2,
+            maxConcurrency: 2,
+            maybeRunIntervalMillis: 10,
+            runTaskFunction: () => delayPromise(300),
+            isFinishedFunction: () => Promise.resolve(false),
+            isTaskReadyFunction: () => Promise.resolve(true),
+        });
+
+        const runPromise = pool.run();
+        await delayPromise(50);
+
+        let isPaused = false;
+        const pausePromise = pool.pause().then(() => { isPaused = true; });
+        await delayPromise(10);
+        expect(isPaused).to.be.eql(false);
+        expect(pool.waitForRunningTasksInterval).to.not.be.eql(null);
+
+        const startedAt = Date.now();
+        await pool.abort();
+        await Promise.all([pausePromise, runPromise]);
+
+        expect(Date.now() - startedAt).to.be.below(100);
+        expect(pool.waitForRunningTasksInterval).to.be.eql(null);
+    });
+
     it('[DEPRECATED] should work with concurrency 1', async () => {
         const range = _.range(0, 10);
         const result = [];
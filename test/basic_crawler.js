@@ -5,8 +5,9 @@ import 'babel-polyfill';
 import sinon from 'sinon';
 import { delayPromise } from 'apify-shared/utilities';
 import * as Apify from '../build/index';
-import { RequestQueue, RequestQueueLocal } from '../build/request_queue';
-import { LOCAL_EMULATION_DIR } from './_helper';
+import { BlockedRequestError } from '../build/errors';
+import { RequestQueue, RequestQueueLocal, LOCAL_EMULATION_SUBDIR } from '../build/request_queue';
+import { LOCAL_EMULATION_DIR, emptyLocalEmulationSubdir } from './_helper';
 
 chai.use(chaiAsPromised);
 
@@ -428,4 +429,711 @@ describe('BasicCrawler', () => {
         expect(await requestList.isFinished()).to.be.eql(false);
         expect(await requestList.isEmpty()).to.be.eql(false);
     });
+
+    it('should support maxConcurrencyPerDomain parameter', async () => {
+        const sources = _.range(0, 6).map(index => ({ url: `http://slow.example.com/${index}` }))
+            .concat(_.range(0, 6).map(index => ({ url: `http://fast.example.com/${index}` })));
+        const running = {};
+        const maxRunning = {};
+        const finishedAt = {};
+        const requestList = new Apify.RequestList({ sources });
+
+        const handleRequestFunction = async ({ request }) => {
+            const { hostname } = new URL(request.url);
+
+            running[hostname] = (running[hostname] || 0) + 1;
+            maxRunning[hostname] = Math.max(maxRunning[hostname] || 0, running[hostname]);
+            await delayPromise(hostname === 'slow.example.com' ? 100 : 10);
+            running[hostname]--;
+            finishedAt[request.url] = Date.now();
+        };
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            minConcurrency: 4,
+            maxConcurrency: 4,
+            maxConcurrencyPerDomain: 2,
+            handleRequestFunction,
+        });
+
+        await requestList.initialize();
+        await basicCrawler.run();
+
+        expect(_.keys(finishedAt)).to.have.lengthOf(12);
+        expect(maxRunning['slow.example.com']).to.be.eql(2);
+        expect(maxRunning['fast.example.com']).to.be.eql(2);
+
+        // Requests to the fast domain must not wait for the slow one.
+        const lastFastFinishedAt = _.max(_.range(0, 6).map(index => finishedAt[`http://fast.example.com/${index}`]));
+        const lastSlowFinishedAt = _.max(_.range(0, 6).map(index => finishedAt[`http://slow.example.com/${index}`]));
+        expect(lastFastFinishedAt).to.be.below(lastSlowFinishedAt);
+        expect(basicCrawler.deferredRequests).to.have.lengthOf(0);
+        expect(await requestList.isFinished()).to.be.eql(true);
+    });
+
+    it('should support minDelayBetweenRequestsPerDomainMillis parameter', async () => {
+        const sources = [
+            { url: 'http://example.com/1' },
+            { url: 'http://example.com/2' },
+            { url: 'http://example.com/3' },
+            { url: 'http://example.org/1' },
+        ];
+        const startedAt = {};
+        const requestList = new Apify.RequestList({ sources });
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            minConcurrency: 4,
+            maxConcurrency: 4,
+            minDelayBetweenRequestsPerDomainMillis: 300,
+            handleRequestFunction: async ({ request }) => {
+                startedAt[request.url] = Date.now();
+            },
+        });
+
+        await requestList.initialize();
+        await basicCrawler.run();
+
+        expect(startedAt['http://example.com/2'] - startedAt['http://example.com/1']).to.be.at.least(300);
+        expect(startedAt['http://example.com/3'] - startedAt['http://example.com/2']).to.be.at.least(300);
+        expect(startedAt['http://example.org/1'] - startedAt['http://example.com/1']).to.be.below(300);
+        expect(await requestList.isFinished()).to.be.eql(true);
+    });
+
+    it('should support maxConcurrencyPerDomain parameter with RequestQueue', async () => {
+        emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+
+        const requestQueue = new RequestQueueLocal('per-domain-queue', LOCAL_EMULATION_DIR);
+        const urls = ['http://a.example.com/1', 'http://a.example.com/2', 'http://a.example.com/3', 'http://b.example.com/1'];
+        for (const url of urls) await requestQueue.addRequest(new Apify.Request({ url })); // eslint-disable-line
+
+        const running = {};
+        const maxRunning = {};
+        const processed = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestQueue,
+            minConcurrency: 3,
+            maxConcurrency: 3,
+            maxConcurrencyPerDomain: 1,
+            handleRequestFunction: async ({ request }) => {
+                const { hostname } = new URL(request.url);
+
+                running[hostname] = (running[hostname] || 0) + 1;
+                maxRunning[hostname] = Math.max(maxRunning[hostname] || 0, running[hostname]);
+                await delayPromise(20);
+                running[hostname]--;
+                processed.push(request.url);
+            },
+        });
+
+        await basicCrawler.run();
+
+        expect(processed.sort()).to.be.eql(urls);
+        expect(maxRunning).to.be.eql({ 'a.example.com': 1, 'b.example.com': 1 });
+        expect(await requestQueue.isFinished()).to.be.eql(true);
+
+        emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+    });
+
+    it('should track statistics and resolve them from run()', async () => {
+        const sources = [
+            { url: 'http://example.com/1' },
+            { url: 'http://example.com/2' },
+            { url: 'http://example.com/3' },
+        ];
+        const requestList = new Apify.RequestList({ sources });
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 2,
+            handleRequestFunction: async ({ request }) => {
+                await delayPromise(10);
+                if (request.url === 'http://example.com/2') throw new Error('Some error');
+                if (request.url === 'http://example.com/3' && request.retryCount === 0) throw new Error('Some error');
+            },
+            handleFailedRequestFunction: async () => {},
+        });
+
+        await requestList.initialize();
+        const stats = await basicCrawler.run();
+
+        expect(stats).to.be.eql(basicCrawler.stats.calculate());
+        expect(stats.requestsFinished).to.be.eql(2);
+        expect(stats.requestsFailed).to.be.eql(1);
+        expect(stats.requestsRetries).to.be.eql(3);
+        expect(stats.requestRetryHistogram).to.be.eql([1, 1, 1]);
+        expect(stats.requestMinDurationMillis).to.be.at.least(10);
+    });
+
+    it('should support handleRequestTimeoutMillis parameter and abort the signal', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: 'http://example.com/1' }] });
+        const signals = [];
+        const failed = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 1,
+            handleRequestTimeoutMillis: 100,
+            handleRequestFunction: ({ signal }) => {
+                signals.push(signal);
+                expect(signal.aborted).to.be.eql(false);
+
+                // Never resolves unless aborted.
+                return new Promise((resolve, reject) => signal.on('abort', () => reject(new Error('Aborted'))));
+            },
+            handleFailedRequestFunction: ({ request }) => failed.push(request),
+        });
+
+        await requestList.initialize();
+        const startedAt = Date.now();
+        await basicCrawler.run();
+
+        expect(Date.now() - startedAt).to.be.within(200, 400);
+        expect(signals).to.have.lengthOf(2);
+        signals.forEach(signal => expect(signal.aborted).to.be.eql(true));
+        expect(failed).to.have.lengthOf(1);
+        expect(failed[0].errorMessages).to.have.lengthOf(2);
+        failed[0].errorMessages.forEach(message => expect(message).to.include('handleRequestFunction timed out after 100 millis'));
+    });
+
+    it('should be possible to pause and resume the crawler', async () => {
+        const sources = _.range(0, 10).map(index => ({ url: `https://example.com/${index}` }));
+        const requestList = new Apify.RequestList({ sources });
+        const processed = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            minConcurrency: 2,
+            maxConcurrency: 2,
+            handleRequestFunction: async ({ request }) => {
+                await delayPromise(20);
+                processed.push(request.url);
+            },
+        });
+
+        await requestList.initialize();
+        const runPromise = basicCrawler.run();
+        await delayPromise(30);
+
+        await basicCrawler.pause();
+        const processedCount = processed.length;
+        expect(processedCount).to.be.within(2, 8);
+        await delayPromise(100);
+        expect(processed).to.have.lengthOf(processedCount);
+
+        basicCrawler.resume();
+        await runPromise;
+
+        expect(processed.sort()).to.be.eql(_.pluck(sources, 'url').sort());
+        expect(await requestList.isFinished()).to.be.eql(true);
+    });
+
+    it('should abort the crawler and reclaim the requests in progress', async () => {
+        const sources = _.range(0, 10).map(index => ({ url: `https://example.com/${index}` }));
+        const requestList = new Apify.RequestList({ sources });
+        const signals = [];
+        const processed = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            minConcurrency: 2,
+            maxConcurrency: 2,
+            handleRequestFunction: ({ request, signal }) => {
+                signals.push(signal);
+
+                // Handlers must watch the signal, the crawler cannot stop them.
+                return new Promise((resolve, reject) => {
+                    const timeout = setTimeout(resolve, 200);
+                    signal.on('abort', () => {
+                        clearTimeout(timeout);
+                        reject(new Error('Aborted'));
+                    });
+                }).then(() => processed.push(request.url));
+            },
+        });
+
+        await requestList.initialize();
+        const startedAt = Date.now();
+        const runPromise = basicCrawler.run();
+        await delayPromise(50);
+        await basicCrawler.abort();
+        const stats = await runPromise;
+
+        expect(Date.now() - startedAt).to.be.below(200);
+        expect(basicCrawler.autoscaledPool.waitForRunningTasksInterval).to.be.eql(null);
+        expect(stats.requestsFinished).to.be.eql(0);
+        expect(signals).to.have.lengthOf(2);
+        signals.forEach(signal => expect(signal.aborted).to.be.eql(true));
+
+        // Requests in progress were reclaimed so that they get processed by the next run.
+        const state = requestList.getState();
+        expect(state.nextIndex).to.be.eql(2);
+        expect(_.keys(state.inProgress).sort()).to.be.eql(['https://example.com/0', 'https://example.com/1']);
+        expect(requestList.reclaimed).to.be.eql(state.inProgress);
+
+        // Aborted handlers stopped and didn't touch the request list.
+        await delayPromise(200);
+        expect(processed).to.have.lengthOf(0);
+        expect(requestList.getState()).to.be.eql(state);
+    });
+
+    it('should drain the running requests when aborting with drain option', async () => {
+        const sources = _.range(0, 10).map(index => ({ url: `https://example.com/${index}` }));
+        const requestList = new Apify.RequestList({ sources });
+        const processed = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            minConcurrency: 2,
+            maxConcurrency: 2,
+            handleRequestFunction: async ({ request, signal }) => {
+                await delayPromise(100);
+                expect(signal.aborted).to.be.eql(false);
+                processed.push(request.url);
+            },
+        });
+
+        await requestList.initialize();
+        const runPromise = basicCrawler.run();
+        await delayPromise(50);
+        await basicCrawler.abort({ drain: true });
+        const stats = await runPromise;
+
+        expect(processed).to.be.eql(['https://example.com/0', 'https://example.com/1']);
+        expect(stats.requestsFinished).to.be.eql(2);
+        expect(requestList.getState()).to.be.eql({ nextIndex: 2, nextUniqueKey: 'https://example.com/2', inProgress: {} });
+        expect(await requestList.isFinished()).to.be.eql(false);
+    });
+
+    it('should retry failed requests with exponential backoff', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: 'http://example.com/1' }] });
+        const startedAts = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 3,
+            retryPolicy: {
+                initialDelayMillis: 50,
+                jitterRatio: 0,
+            },
+            handleRequestFunction: async () => {
+                startedAts.push(Date.now());
+                throw new Error('Some error');
+            },
+            handleFailedRequestFunction: async () => {},
+        });
+
+        await requestList.initialize();
+        await basicCrawler.run();
+
+        // AutoscaledPool checks for ready requests periodically so the delays might be longer.
+        expect(startedAts).to.have.lengthOf(4);
+        expect(startedAts[1] - startedAts[0]).to.be.at.least(50);
+        expect(startedAts[2] - startedAts[1]).to.be.at.least(100);
+        expect(startedAts[3] - startedAts[2]).to.be.at.least(200);
+    });
+
+    it('should reclaim the requests waiting for their retry when aborted', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: 'http://example.com/1' }] });
+        let handledCount = 0;
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 3,
+            retryPolicy: {
+                initialDelayMillis: 10000,
+                jitterRatio: 0,
+            },
+            handleRequestFunction: async () => {
+                handledCount++;
+                throw new Error('Some error');
+            },
+        });
+
+        await requestList.initialize();
+        const runPromise = basicCrawler.run();
+        await delayPromise(100);
+
+        expect(handledCount).to.be.eql(1);
+        expect(_.keys(requestList.delayedReclaims)).to.be.eql(['http://example.com/1']);
+        expect(await requestList.isFinished()).to.be.eql(false);
+
+        await basicCrawler.abort();
+        await runPromise;
+
+        // No timer is left behind and the request is available to the next run.
+        expect(requestList.delayedReclaims).to.be.eql({});
+        expect(requestList.reclaimed).to.be.eql({ 'http://example.com/1': true });
+        expect(handledCount).to.be.eql(1);
+    });
+
+    it('should not retry requests with non-retryable errors and respect request.maxRetries', async () => {
+        const sources = [
+            { url: 'http://example.com/not-found' },
+            { url: 'http://example.com/no-retries', maxRetries: 0 },
+            { url: 'http://example.com/more-retries', maxRetries: 5 },
+        ];
+        const requestList = new Apify.RequestList({ sources });
+        const failed = {};
+        const isRetryableFunction = sinon.spy(({ error }) => error.message !== 'Not found');
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 2,
+            retryPolicy: { isRetryableFunction },
+            handleRequestFunction: async ({ request }) => {
+                throw new Error(request.url.endsWith('/not-found') ? 'Not found' : 'Some error');
+            },
+            handleFailedRequestFunction: async ({ request }) => {
+                failed[request.url] = request;
+            },
+        });
+
+        await requestList.initialize();
+        await basicCrawler.run();
+
+        expect(failed['http://example.com/not-found'].retryCount).to.be.eql(0);
+        expect(failed['http://example.com/not-found'].errorMessages).to.be.eql(['Not found']);
+        expect(failed['http://example.com/no-retries'].retryCount).to.be.eql(0);
+        expect(failed['http://example.com/more-retries'].retryCount).to.be.eql(5);
+        expect(isRetryableFunction.firstCall.args[0].error.message).to.be.eql('Not found');
+    });
+
+    it('should call onRequestFinishedHooks and onRequestFailedHooks', async () => {
+        const sources = [
+            { url: 'http://example.com/ok' },
+            { url: 'http://example.com/error' },
+        ];
+        const requestList = new Apify.RequestList({ sources });
+        const calls = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 1,
+            handleRequestFunction: async (crawlingContext) => {
+                crawlingContext.foo = 'bar';
+                if (crawlingContext.request.url.endsWith('/error')) throw new Error('Some error');
+            },
+            onRequestFinishedHooks: [
+                async ({ request, foo }) => { await delayPromise(10); calls.push(`finished-1 ${request.url} ${foo}`); },
+                ({ request }) => { calls.push(`finished-2 ${request.url}`); },
+            ],
+            onRequestFailedHooks: [
+                ({ request, error }) => { calls.push(`failed ${request.url} ${error.message}`); },
+                () => { throw new Error('This error is only logged'); },
+            ],
+            handleFailedRequestFunction: async ({ request, error }) => {
+                calls.push(`handleFailedRequestFunction ${request.url} ${error.message}`);
+            },
+        });
+
+        await requestList.initialize();
+        await basicCrawler.run();
+
+        expect(calls.sort()).to.be.eql([
+            'failed http://example.com/error Some error',
+            'failed http://example.com/error Some error',
+            'finished-1 http://example.com/ok bar',
+            'finished-2 http://example.com/ok',
+            'handleFailedRequestFunction http://example.com/error Some error',
+        ]);
+    });
+
+    it('should fail the request when some of onRequestFinishedHooks throws', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: 'http://example.com/1' }] });
+        const failed = [];
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            handleRequestFunction: async () => {},
+            onRequestFinishedHooks: [
+                async () => { throw new Error('Hook error'); },
+            ],
+            handleFailedRequestFunction: async ({ request }) => failed.push(request),
+        });
+
+        await requestList.initialize();
+        await basicCrawler.run();
+
+        expect(failed).to.have.lengthOf(1);
+        expect(failed[0].errorMessages).to.be.eql(['Hook error']);
+    });
+
+    it('should support maxCrawlDepth parameter', async () => {
+        emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+
+        const requestQueue = new RequestQueueLocal('crawl-depth-queue', LOCAL_EMULATION_DIR);
+        const processed = [];
+
+        await requestQueue.addRequest(new Apify.Request({ url: 'http://example.com/0' }));
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestQueue,
+            maxCrawlDepth: 2,
+            handleRequestFunction: async ({ request }) => {
+                processed.push(_.pick(request, 'url', 'depth', 'referrerUrl'));
+
+                const nextRequest = new Apify.Request({
+                    url: `http://example.com/${request.depth + 1}`,
+                    depth: request.depth + 1,
+                    referrerUrl: request.url,
+                });
+                await requestQueue.addRequest(nextRequest);
+            },
+        });
+
+        await basicCrawler.run();
+
+        expect(processed).to.be.eql([
+            { url: 'http://example.com/0', depth: 0, referrerUrl: undefined },
+            { url: 'http://example.com/1', depth: 1, referrerUrl: 'http://example.com/0' },
+            { url: 'http://example.com/2', depth: 2, referrerUrl: 'http://example.com/1' },
+        ]);
+        expect(await requestQueue.isFinished()).to.be.eql(true);
+
+        emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+    });
+
+    it('should skip requests disallowed by robots.txt and honor its Crawl-delay', async () => {
+        const robotsTxt = new Apify.RobotsTxt();
+        const isAllowedStub = sinon.stub(robotsTxt, 'isAllowed').callsFake(url => Promise.resolve(!url.includes('/private')));
+        const getCrawlDelayStub = sinon.stub(robotsTxt, 'getCrawlDelayMillis')
+            .callsFake(url => Promise.resolve(url.startsWith('http://slow.example.com') ? 300 : null));
+
+        const sources = [
+            { url: 'http://slow.example.com/1' },
+            { url: 'http://slow.example.com/private' },
+            { url: 'http://slow.example.com/2' },
+            { url: 'http://fast.example.com/1' },
+            { url: 'http://fast.example.com/private' },
+        ];
+        const requestList = new Apify.RequestList({ sources });
+        const startedAts = {};
+
+        await requestList.initialize();
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            respectRobotsTxt: true,
+            robotsTxt,
+            handleRequestFunction: async ({ request }) => {
+                startedAts[request.url] = Date.now();
+            },
+        });
+
+        await basicCrawler.run();
+
+        expect(_.keys(startedAts).sort()).to.be.eql([
+            'http://fast.example.com/1',
+            'http://slow.example.com/1',
+            'http://slow.example.com/2',
+        ]);
+        expect(startedAts['http://slow.example.com/2'] - startedAts['http://slow.example.com/1']).to.be.at.least(300);
+        expect(await requestList.isFinished()).to.be.eql(true);
+        expect(isAllowedStub.callCount).to.be.eql(5);
+
+        isAllowedStub.restore();
+        getCrawlDelayStub.restore();
+    });
+
+    it('should not check robots.txt unless respectRobotsTxt is set', async () => {
+        const robotsTxt = new Apify.RobotsTxt();
+        const isAllowedStub = sinon.stub(robotsTxt, 'isAllowed').returns(Promise.resolve(false));
+        const requestList = new Apify.RequestList({ sources: [{ url: 'http://example.com/private' }] });
+        const processed = [];
+
+        await requestList.initialize();
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            robotsTxt,
+            handleRequestFunction: async ({ request }) => {
+                processed.push(request.url);
+            },
+        });
+
+        await basicCrawler.run();
+
+        expect(processed).to.be.eql(['http://example.com/private']);
+        expect(isAllowedStub.callCount).to.be.eql(0);
+
+        isAllowedStub.restore();
+    });
+
+    it('should emit request lifecycle events', async () => {
+        const sources = [
+            { url: 'http://example.com/ok' },
+            { url: 'http://example.com/retry' },
+            { url: 'http://example.com/fail' },
+        ];
+        const requestList = new Apify.RequestList({ sources });
+        const events = [];
+        let retryUrlFailed = false;
+
+        await requestList.initialize();
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 1,
+            minConcurrency: 1,
+            maxConcurrency: 1,
+            handleRequestFunction: async ({ request }) => {
+                await delayPromise(10);
+                if (request.url.endsWith('/fail')) throw new Error('Failure');
+                if (request.url.endsWith('/retry') && !retryUrlFailed) {
+                    retryUrlFailed = true;
+                    throw new Error('Temporary failure');
+                }
+            },
+        });
+
+        ['requestStarted', 'requestSucceeded', 'requestRetried', 'requestFailed'].forEach((eventName) => {
+            basicCrawler.on(eventName, ({ request, error, durationMillis }) => {
+                if (eventName !== 'requestStarted') expect(durationMillis).to.be.at.least(9);
+                events.push([eventName, request.url, error ? error.message : null]);
+            });
+        });
+
+        // Errors thrown by the listeners don't break the crawler.
+        basicCrawler.on('requestSucceeded', () => { throw new Error('Listener error'); });
+
+        const finishedListener = sinon.spy();
+        basicCrawler.on('crawlerFinished', finishedListener);
+
+        const stats = await basicCrawler.run();
+
+        expect(events).to.be.eql([
+            ['requestStarted', 'http://example.com/ok', null],
+            ['requestSucceeded', 'http://example.com/ok', null],
+            ['requestStarted', 'http://example.com/retry', null],
+            ['requestRetried', 'http://example.com/retry', 'Temporary failure'],
+            ['requestStarted', 'http://example.com/retry', null],
+            ['requestSucceeded', 'http://example.com/retry', null],
+            ['requestStarted', 'http://example.com/fail', null],
+            ['requestRetried', 'http://example.com/fail', 'Failure'],
+            ['requestStarted', 'http://example.com/fail', null],
+            ['requestFailed', 'http://example.com/fail', 'Failure'],
+        ]);
+        expect(finishedListener.calledOnce).to.be.eql(true);
+        expect(finishedListener.args[0][0]).to.be.eql({ stats });
+    });
+
+    it('should pass sessions from the session pool and mark them good or bad', async () => {
+        const sources = _.range(0, 6).map(index => ({ url: `http://example.com/${index}` }));
+        const requestList = new Apify.RequestList({ sources });
+        const sessions = [];
+
+        await requestList.initialize();
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            useSessionPool: true,
+            sessionPoolOptions: { maxPoolSize: 1 },
+            handleRequestFunction: async ({ request, session }) => {
+                sessions.push(session);
+                if (request.url.endsWith('/5')) throw new Error('Blocked');
+            },
+            handleFailedRequestFunction: async () => {},
+        });
+
+        await basicCrawler.run();
+
+        expect(sessions).to.have.lengthOf(6);
+        sessions.forEach(session => expect(session).to.be.eql(sessions[0]));
+        expect(sessions[0].usageCount).to.be.eql(6);
+        expect(sessions[0].errorScore).to.be.eql(1);
+    });
+
+    it('should retry blocked requests with a new session without incrementing retryCount', async () => {
+        const sources = [{ url: 'http://example.com/blocked-once' }, { url: 'http://example.com/blocked-always' }];
+        const requestList = new Apify.RequestList({ sources });
+        const sessionIds = [];
+        const processed = {};
+        const failed = {};
+
+        await requestList.initialize();
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            maxBlockedRetries: 5,
+            useSessionPool: true,
+            handleRequestFunction: async ({ request, session }) => {
+                expect(request.retryCount).to.be.eql(0);
+                processed[request.url] = (processed[request.url] || 0) + 1;
+                if (request.url.endsWith('/blocked-once')) {
+                    sessionIds.push(session.id);
+                    if (processed[request.url] === 1) throw new BlockedRequestError('Blocked');
+                    return;
+                }
+                throw new BlockedRequestError('Blocked');
+            },
+            handleFailedRequestFunction: async ({ request }) => {
+                failed[request.url] = request;
+            },
+        });
+
+        await basicCrawler.run();
+
+        expect(processed['http://example.com/blocked-once']).to.be.eql(2);
+        expect(sessionIds).to.have.lengthOf(2);
+        expect(sessionIds[1]).to.not.be.eql(sessionIds[0]);
+        expect(failed['http://example.com/blocked-once']).to.be.eql(undefined);
+
+        // Blocked retries are limited, then the request is retried as any other failed request.
+        expect(processed['http://example.com/blocked-always']).to.be.eql(6);
+        expect(failed['http://example.com/blocked-always'].errorMessages).to.have.lengthOf(1);
+
+        // Counts of the finished requests are not kept.
+        expect(basicCrawler.blockedRetryCounts).to.be.eql({});
+    });
+
+    it('should process requests from multiple requestSources', async () => {
+        const createRequestList = async (name, count) => {
+            const requestList = new Apify.RequestList({
+                sources: _.range(0, count).map(index => ({ url: `http://example.com/${name}/${index}` })),
+            });
+            await requestList.initialize();
+
+            return requestList;
+        };
+        const requestListA = await createRequestList('a', 3);
+        const requestListB = await createRequestList('b', 3);
+        const processed = [];
+
+        expect(() => new Apify.BasicCrawler({
+            requestList: requestListA,
+            requestSources: [requestListB],
+            handleRequestFunction: async () => {},
+        })).to.throw();
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestSources: [requestListA, { source: requestListB, weight: 2 }],
+            minConcurrency: 1,
+            maxConcurrency: 1,
+            maxRequestRetries: 1,
+            handleRequestFunction: async ({ request }) => {
+                processed.push(request.url);
+                if (request.url === 'http://example.com/a/0' && request.retryCount === 0) throw new Error('Retry me');
+            },
+        });
+
+        await basicCrawler.run();
+
+        expect(processed).to.have.lengthOf(7);
+        expect(processed.slice(0, 3)).to.be.eql(['http://example.com/b/0', 'http://example.com/a/0', 'http://example.com/b/1']);
+        expect(_.uniq(processed).sort()).to.be.eql([
+            'http://example.com/a/0',
+            'http://example.com/a/1',
+            'http://example.com/a/2',
+            'http://example.com/b/0',
+            'http://example.com/b/1',
+            'http://example.com/b/2',
+        ]);
+        expect(await requestListA.isFinished()).to.be.eql(true);
+        expect(await requestListB.isFinished()).to.be.eql(true);
+    });
 });
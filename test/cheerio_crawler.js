@@ -0,0 +1,318 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import http from 'http';
+import iconv from 'iconv-lite';
+import 'babel-polyfill';
+import * as Apify from '../build/index';
+import { BlockedRequestError } from '../build/errors';
+
+chai.use(chaiAsPromised);
+
+const HOST = '127.0.0.1';
+
+const responses = {
+    '/html': (req, res) => {
+        res.setHeader('content-type', 'text/html; charset=utf-8');
+        res.end('<html><head><title>Example Domain</title></head><body><p>Hello</p></body></html>');
+    },
+    '/windows-1250': (req, res) => {
+        res.setHeader('content-type', 'text/html; charset=windows-1250');
+        res.end(iconv.encode('<html><head><title>Žluťoučký kůň</title></head></html>', 'windows-1250'));
+    },
+    '/json': (req, res) => {
+        res.setHeader('content-type', 'application/json');
+        res.end('{ "foo": "bar" }');
+    },
+    '/error': (req, res) => {
+        res.statusCode = 500;
+        res.setHeader('content-type', 'text/html');
+        res.end('<html><head><title>Internal Server Error</title></head></html>');
+    },
+    '/hang': () => {},
+    '/cookies': (req, res) => {
+        res.setHeader('content-type', 'text/html');
+        res.setHeader('set-cookie', 'visits=1; Path=/');
+        res.end(`<html><head><title>${req.headers.cookie} ${req.headers['user-agent']}</title></head></html>`);
+    },
+    '/echo': (req, res) => {
+        let body = '';
+        req.on('data', (chunk) => { body += chunk; });
+        req.on('end', () => {
+            res.setHeader('content-type', 'text/html');
+            res.end(`<html><head><title>${req.method} ${req.headers['x-foo']} ${body}</title></head></html>`);
+        });
+    },
+};
+
+describe('CheerioCrawler', () => {
+    let server;
+    let baseUrl;
+
+    before((done) => {
+        server = http.createServer((req, res) => responses[req.url](req, res));
+        server.listen(0, HOST, () => {
+            baseUrl = `http://${HOST}:${server.address().port}`;
+            done();
+        });
+    });
+
+    after((done) => {
+        server.close(done);
+    });
+
+    it('should work', async () => {
+        const sources = [
+            { url: `${baseUrl}/html` },
+            { url: `${baseUrl}/windows-1250` },
+        ];
+        const processed = [];
+        const failed = [];
+        const requestList = new Apify.RequestList({ sources });
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            minConcurrency: 2,
+            maxConcurrency: 2,
+            handlePageFunction: async ({ $, html, request, response }) => {
+                expect(response.statusCode).to.be.eql(200);
+                expect(html).to.include('<title>');
+                request.userData.title = $('title').text();
+                processed.push(request);
+            },
+            handleFailedRequestFunction: ({ request }) => failed.push(request),
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(processed).to.have.lengthOf(2);
+        expect(failed).to.have.lengthOf(0);
+        expect(processed.find(request => request.url.endsWith('/html')).userData.title).to.be.eql('Example Domain');
+        expect(processed.find(request => request.url.endsWith('/windows-1250')).userData.title).to.be.eql('Žluťoučký kůň');
+    });
+
+    it('should use method, headers and payload of the request', async () => {
+        const requestList = new Apify.RequestList({
+            sources: [
+                { url: `${baseUrl}/echo`, method: 'POST', headers: { 'X-Foo': 'bar' }, payload: 'some-payload' },
+            ],
+        });
+        let title;
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            handlePageFunction: async ({ $ }) => {
+                title = $('title').text();
+            },
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(title).to.be.eql('POST bar some-payload');
+    });
+
+    it('should fail on unsupported content types and server errors', async () => {
+        const sources = [
+            { url: `${baseUrl}/json` },
+            { url: `${baseUrl}/error` },
+        ];
+        const processed = [];
+        const failed = [];
+        const requestList = new Apify.RequestList({ sources });
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            maxRequestRetries: 1,
+            handlePageFunction: async ({ request }) => {
+                processed.push(request);
+            },
+            handleFailedRequestFunction: ({ request }) => failed.push(request),
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(processed).to.have.lengthOf(0);
+        expect(failed).to.have.lengthOf(2);
+
+        const jsonRequest = failed.find(request => request.url.endsWith('/json'));
+        const errorRequest = failed.find(request => request.url.endsWith('/error'));
+
+        expect(jsonRequest.errorMessages).to.have.lengthOf(2);
+        expect(jsonRequest.errorMessages[0]).to.include('Content-Type application/json is not supported');
+        expect(errorRequest.errorMessages).to.have.lengthOf(2);
+        expect(errorRequest.errorMessages[0]).to.include('status code 500');
+    });
+
+    it('should support additionalMimeTypes option', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: `${baseUrl}/json` }] });
+        let body;
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            additionalMimeTypes: ['application/json'],
+            handlePageFunction: async ({ html }) => {
+                body = JSON.parse(html);
+            },
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(body).to.be.eql({ foo: 'bar' });
+    });
+
+    it('should support requestTimeoutMillis option', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: `${baseUrl}/hang` }] });
+        const failed = [];
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            requestTimeoutMillis: 200,
+            handlePageFunction: async () => {},
+            handleFailedRequestFunction: ({ request }) => failed.push(request),
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(failed).to.have.lengthOf(1);
+        expect(failed[0].errorMessages[0]).to.match(/timed? ?out|ETIMEDOUT|ESOCKETTIMEDOUT/i);
+    });
+
+    it('should pass handleRequestTimeoutMillis and maxBlockedRetries options to BasicCrawler', async () => {
+        const requestList = new Apify.RequestList({
+            sources: [
+                { url: `${baseUrl}/html` },
+                { url: `${baseUrl}/cookies` },
+            ],
+        });
+        const handledUrls = [];
+        const failed = [];
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            maxBlockedRetries: 1,
+            handleRequestTimeoutMillis: 200,
+            handlePageFunction: async ({ request, signal }) => {
+                handledUrls.push(request.url);
+                if (request.url.endsWith('/cookies')) throw new BlockedRequestError('Blocked');
+
+                await new Promise(resolve => signal.on('abort', resolve));
+            },
+            handleFailedRequestFunction: ({ request }) => failed.push(request),
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(handledUrls.filter(url => url.endsWith('/cookies'))).to.have.lengthOf(2);
+        expect(failed).to.have.lengthOf(2);
+        expect(failed.find(request => request.url.endsWith('/html')).errorMessages[0]).to.match(/timed out after 200 millis/);
+    });
+
+    it('should require handlePageFunction to return a promise', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: `${baseUrl}/html` }] });
+        const failed = [];
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            handlePageFunction: () => {},
+            handleFailedRequestFunction: ({ request }) => failed.push(request),
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(failed).to.have.lengthOf(1);
+        expect(failed[0].errorMessages[0]).to.be.eql('User provided handlePageFunction must return a Promise.');
+    });
+
+    it('should call navigation hooks with the crawling context', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: `${baseUrl}/echo`, method: 'POST', payload: 'foo' }] });
+        const calls = [];
+        let title;
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            preNavigationHooks: [
+                async ({ request, response }) => {
+                    expect(response).to.be.a('undefined');
+                    request.headers['X-Foo'] = 'hooked';
+                    calls.push('pre');
+                },
+            ],
+            postNavigationHooks: [
+                async ({ $, response }) => {
+                    expect(response.statusCode).to.be.eql(200);
+                    calls.push(`post ${$('title').text()}`);
+                },
+            ],
+            onRequestFinishedHooks: [
+                ({ html }) => calls.push(`finished ${html.length > 0}`),
+            ],
+            handlePageFunction: async ({ $ }) => {
+                title = $('title').text();
+                calls.push('handlePageFunction');
+            },
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(title).to.be.eql('POST hooked foo');
+        expect(calls).to.be.eql(['pre', 'post POST hooked foo', 'handlePageFunction', 'finished true']);
+    });
+
+    it('should forward the events of the underlying BasicCrawler', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: `${baseUrl}/html` }, { url: `${baseUrl}/error` }] });
+        const events = [];
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            handlePageFunction: async () => {},
+        });
+
+        ['requestStarted', 'requestSucceeded', 'requestFailed', 'crawlerFinished'].forEach((eventName) => {
+            cheerioCrawler.on(eventName, ({ request }) => events.push(request ? `${eventName} ${request.url}` : eventName));
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(events).to.have.members([
+            `requestStarted ${baseUrl}/html`,
+            `requestSucceeded ${baseUrl}/html`,
+            `requestStarted ${baseUrl}/error`,
+            `requestFailed ${baseUrl}/error`,
+            'crawlerFinished',
+        ]);
+        expect(events[events.length - 1]).to.be.eql('crawlerFinished');
+    });
+
+    it('should send the user agent and cookies of the session', async () => {
+        const sources = [{ url: `${baseUrl}/cookies`, uniqueKey: '1' }, { url: `${baseUrl}/cookies`, uniqueKey: '2' }];
+        const requestList = new Apify.RequestList({ sources });
+        const titles = [];
+
+        const cheerioCrawler = new Apify.CheerioCrawler({
+            requestList,
+            maxConcurrency: 1,
+            useSessionPool: true,
+            sessionPoolOptions: { maxPoolSize: 1 },
+            handlePageFunction: async ({ $, session }) => {
+                titles.push($('title').text().replace(session.userAgent, 'USER-AGENT'));
+            },
+        });
+
+        await requestList.initialize();
+        await cheerioCrawler.run();
+
+        expect(titles).to.be.eql(['undefined USER-AGENT', 'visits=1 USER-AGENT']);
+    });
+});
@@ -0,0 +1,106 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import 'babel-polyfill';
+import fs from 'fs-extra';
+import path from 'path';
+import { ENV_VARS } from '../build/constants';
+import { LOCAL_EMULATION_SUBDIR } from '../build/dataset';
+import * as Apify from '../build/index';
+import { LOCAL_EMULATION_DIR, emptyLocalEmulationSubdir } from './_helper';
+
+chai.use(chaiAsPromised);
+
+describe('failed requests', () => {
+    before(() => {
+        process.env[ENV_VARS.LOCAL_EMULATION_DIR] = LOCAL_EMULATION_DIR;
+        emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+    });
+
+    after(() => {
+        emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+        delete process.env[ENV_VARS.LOCAL_EMULATION_DIR];
+    });
+
+    it('should be stored by the crawler and crawled again using openFailedRequestsList()', async () => {
+        const sources = [
+            { url: 'http://example.com/ok' },
+            { url: 'http://example.com/fail-1', method: 'POST', payload: 'foo', userData: { foo: 'bar' } },
+            { url: 'http://example.com/fail-2', uniqueKey: 'custom-key' },
+        ];
+        const requestList = new Apify.RequestList({ sources });
+        const failedUrls = [];
+
+        await requestList.initialize();
+
+        const crawlerStartedAt = new Date();
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 1,
+            failedRequestsDatasetName: 'failed-requests-1',
+            handleRequestFunction: async ({ request }) => {
+                if (request.url.includes('/fail')) throw new Error(`Failure of ${request.url}`);
+            },
+            handleFailedRequestFunction: async ({ request }) => {
+                failedUrls.push(request.url);
+            },
+        });
+
+        await basicCrawler.run();
+
+        expect(failedUrls.sort()).to.be.eql(['http://example.com/fail-1', 'http://example.com/fail-2']);
+
+        const dataset = await Apify.openDataset('failed-requests-1');
+        const { items } = await dataset.getData();
+
+        expect(items).to.have.lengthOf(2);
+        const item = items.filter(it => it.url === 'http://example.com/fail-1')[0];
+        expect(item).to.include({
+            url: 'http://example.com/fail-1',
+            uniqueKey: 'http://example.com/fail-1',
+            method: 'POST',
+            payload: 'foo',
+            retryCount: 1,
+            depth: 0,
+        });
+        expect(item.userData).to.be.eql({ foo: 'bar' });
+        expect(item.errorMessages).to.have.lengthOf(2);
+        expect(item.errorMessages[0]).to.include('Failure of http://example.com/fail-1');
+        expect(new Date(item.startedAt)).to.be.at.least(crawlerStartedAt);
+        expect(new Date(item.failedAt)).to.be.at.least(new Date(item.startedAt));
+
+        const failedRequestsList = await Apify.openFailedRequestsList('failed-requests-1');
+        const retriedUrls = [];
+
+        const retryCrawler = new Apify.BasicCrawler({
+            requestList: failedRequestsList,
+            handleRequestFunction: async ({ request }) => {
+                expect(request.retryCount).to.be.eql(0);
+                expect(request.errorMessages).to.be.eql(null);
+                retriedUrls.push(request.uniqueKey);
+            },
+        });
+
+        await retryCrawler.run();
+
+        expect(retriedUrls.sort()).to.be.eql(['custom-key', 'http://example.com/fail-1']);
+    });
+
+    it('should not store anything unless failedRequestsDatasetName is set', async () => {
+        const datasetsDir = path.join(LOCAL_EMULATION_DIR, LOCAL_EMULATION_SUBDIR);
+        const requestList = new Apify.RequestList({ sources: [{ url: 'http://example.com/fail' }] });
+        const datasetNames = fs.readdirSync(datasetsDir);
+
+        await requestList.initialize();
+
+        const basicCrawler = new Apify.BasicCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            handleRequestFunction: async () => { throw new Error('Failure'); },
+            handleFailedRequestFunction: async () => {},
+        });
+
+        await basicCrawler.run();
+
+        expect(fs.readdirSync(datasetsDir)).to.be.eql(datasetNames);
+    });
+});
@@ -0,0 +1,70 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import _ from 'underscore';
+import 'babel-polyfill';
+import Apify from '../build/index';
+import { USER_AGENT_LIST } from '../build/constants';
+import { generateFingerprint, applyFingerprint } from '../build/fingerprints';
+
+chai.use(chaiAsPromised);
+
+describe('fingerprints', () => {
+    it('generateFingerprint() should generate coherent fingerprints', () => {
+        _.range(0, 50).forEach(() => {
+            const fingerprint = generateFingerprint();
+
+            expect(USER_AGENT_LIST).to.include(fingerprint.userAgent);
+            expect(fingerprint.userAgent).to.include('Chrome/');
+            expect(fingerprint.viewport.width).to.be.above(0);
+            expect(fingerprint.viewport.height).to.be.above(0);
+            expect(fingerprint.languages.length).to.be.above(0);
+            expect(fingerprint.timezoneId).to.be.a('string');
+            expect(fingerprint.timezoneOffset).to.be.a('number');
+            expect(fingerprint.webGlVendor).to.be.a('string');
+            expect(fingerprint.webGlRenderer).to.be.a('string');
+            expect(fingerprint.plugins.length).to.be.above(0);
+
+            if (fingerprint.userAgent.includes('Windows')) expect(fingerprint.platform).to.be.eql('Win32');
+            if (fingerprint.userAgent.includes('Macintosh')) expect(fingerprint.platform).to.be.eql('MacIntel');
+            if (fingerprint.userAgent.includes('Linux')) expect(fingerprint.platform).to.be.eql('Linux x86_64');
+        });
+    });
+
+    it('applyFingerprint() should apply the fingerprint to the page', async () => {
+        const fingerprint = generateFingerprint();
+        const browser = await Apify.launchPuppeteer({ headless: true });
+
+        try {
+            const page = await browser.newPage();
+            await applyFingerprint(page, fingerprint);
+            await page.goto('about:blank');
+
+            const result = await page.evaluate(() => {
+                const canvas = document.createElement('canvas');
+                const gl = canvas.getContext('webgl');
+
+                return {
+                    userAgent: navigator.userAgent,
+                    platform: navigator.platform,
+                    languages: navigator.languages,
+                    pluginsCount: navigator.plugins.length,
+                    timezoneOffset: new Date().getTimezoneOffset(),
+                    timezoneId: Intl.DateTimeFormat().resolvedOptions().timeZone,
+                    width: window.innerWidth,
+                    webGlVendor: gl ? gl.getParameter(37445) : null,
+                };
+            });
+
+            expect(result.userAgent).to.be.eql(fingerprint.userAgent);
+            expect(result.platform).to.be.eql(fingerprint.platform);
+            expect(result.languages).to.be.eql(fingerprint.languages);
+            expect(result.pluginsCount).to.be.eql(fingerprint.plugins.length);
+            expect(result.timezoneOffset).to.be.eql(fingerprint.timezoneOffset);
+            expect(result.timezoneId).to.be.eql(fingerprint.timezoneId);
+            expect(result.width).to.be.eql(fingerprint.viewport.width);
+            if (result.webGlVendor) expect(result.webGlVendor).to.be.eql(fingerprint.webGlVendor);
+        } finally {
+            await browser.close();
+        }
+    });
+});
@@ -1,8 +1,12 @@
 import chai, { expect } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
+import _ from 'underscore';
 import 'babel-polyfill';
 import { ENV_VARS } from '../build/constants';
 import * as Apify from '../build/index';
+import { LOCAL_EMULATION_SUBDIR } from '../build/key_value_store';
+import { RequestQueue } from '../build/request_queue';
+import { LOCAL_EMULATION_DIR, emptyLocalEmulationSubdir } from './_helper';
 
 chai.use(chaiAsPromised);
 
@@ -90,4 +94,182 @@ describe('PuppeteerCrawler', () => {
             expect(failedCalled).to.eql(false);
         }
     });
+
+    it('should call hooks with the crawling context', async () => {
+        const requestList = new Apify.RequestList({
+            sources: [
+                { url: 'http://example.com/?q=1' },
+                { url: 'http://example.com/?q=2' },
+            ],
+        });
+        const calls = [];
+
+        const puppeteerCrawler = new Apify.PuppeteerCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            preNavigationHooks: [
+                async ({ page, request, response, puppeteerPool }) => {
+                    expect(page).to.be.an('object');
+                    expect(puppeteerPool).to.be.an('object');
+                    expect(response).to.be.a('undefined');
+                    calls.push(`pre ${request.url}`);
+                },
+            ],
+            postNavigationHooks: [
+                async ({ request, response }) => {
+                    expect(await response.status()).to.be.eql(200);
+                    calls.push(`post ${request.url}`);
+                },
+            ],
+            onRequestFinishedHooks: [
+                async ({ page, request }) => calls.push(`finished ${request.url} ${await page.title()}`),
+            ],
+            onRequestFailedHooks: [
+                async ({ page, request, error }) => calls.push(`failed ${request.url} ${await page.title()} ${error.message}`),
+            ],
+            handlePageFunction: async ({ request }) => {
+                if (request.url.endsWith('2')) throw new Error('Some error');
+            },
+            handleFailedRequestFunction: async () => {},
+        });
+
+        await requestList.initialize();
+        await puppeteerCrawler.run();
+
+        expect(calls.sort()).to.be.eql([
+            'failed http://example.com/?q=2 Example Domain Some error',
+            'finished http://example.com/?q=1 Example Domain',
+            'post http://example.com/?q=1',
+            'post http://example.com/?q=2',
+            'pre http://example.com/?q=1',
+            'pre http://example.com/?q=2',
+        ]);
+    });
+
+    it('should detect blocked responses and retry them in a new browser', async () => {
+        const requestList = new Apify.RequestList({ sources: [{ url: 'http://example.com/?q=1' }] });
+        const browsers = [];
+        let checks = 0;
+
+        const puppeteerCrawler = new Apify.PuppeteerCrawler({
+            requestList,
+            maxRequestRetries: 0,
+            detectBlockedResponses: true,
+            blockDetectionOptions: {
+                isBlockedFunction: async ({ page }) => {
+                    browsers.push(page.browser());
+                    checks++;
+                    return checks === 1;
+                },
+            },
+            handlePageFunction: async ({ page }) => {
+                expect(await page.title()).to.be.eql('Example Domain');
+            },
+            handleFailedRequestFunction: () => {
+                throw new Error('Request should not fail');
+            },
+        });
+
+        await requestList.initialize();
+        await puppeteerCrawler.run();
+
+        expect(browsers).to.have.lengthOf(2);
+        expect(browsers[1]).to.not.be.eql(browsers[0]);
+    });
+
+    it('should set the depth of the requests enqueued from the page and support maxCrawlDepth', async () => {
+        // In-memory queue, so that nothing is left behind if the crawler fails.
+        const requestQueue = new RequestQueue('in-memory-queue');
+        const pendingRequests = [];
+        const uniqueKeys = {};
+        let inProgressCount = 0;
+        requestQueue.addRequest = (request) => {
+            const wasAlreadyPresent = !!uniqueKeys[request.uniqueKey];
+            if (!wasAlreadyPresent) pendingRequests.push(request);
+            uniqueKeys[request.uniqueKey] = true;
+            return Promise.resolve({ requestId: request.uniqueKey, wasAlreadyPresent, wasAlreadyHandled: false });
+        };
+        requestQueue.fetchNextRequest = () => {
+            const request = pendingRequests.shift() || null;
+            if (request) inProgressCount++;
+            return Promise.resolve(request);
+        };
+        requestQueue.markRequestHandled = () => {
+            inProgressCount--;
+            return Promise.resolve();
+        };
+        requestQueue.isEmpty = () => Promise.resolve(pendingRequests.length === 0);
+        requestQueue.isFinished = () => Promise.resolve(pendingRequests.length === 0 && inProgressCount === 0);
+
+        const purls = [new Apify.PseudoUrl('http://example.com/[\\d+]')];
+        const processed = [];
+
+        await requestQueue.addRequest(new Apify.Request({ url: 'http://example.com/0' }));
+
+        const puppeteerCrawler = new Apify.PuppeteerCrawler({
+            requestQueue,
+            maxCrawlDepth: 2,
+            maxRequestRetries: 0,
+            gotoFunction: async ({ page, request }) => {
+                const next = Number(request.url.split('/').pop()) + 1;
+                await page.setContent(`<a href="http://example.com/${next}">Next</a>`);
+                return null;
+            },
+            handlePageFunction: async ({ page, request }) => {
+                processed.push(_.pick(request, 'url', 'depth', 'referrerUrl'));
+
+                // The parent request is not passed, enqueueLinks() gets it from the page.
+                await Apify.utils.puppeteer.enqueueLinks(page, 'a', purls, requestQueue);
+            },
+        });
+
+        await puppeteerCrawler.run();
+
+        expect(processed).to.be.eql([
+            { url: 'http://example.com/0', depth: 0, referrerUrl: undefined },
+            { url: 'http://example.com/1', depth: 1, referrerUrl: 'http://example.com/0' },
+            { url: 'http://example.com/2', depth: 2, referrerUrl: 'http://example.com/1' },
+        ]);
+        expect(await requestQueue.isFinished()).to.be.eql(true);
+    });
+
+    it('should save failure snapshots', async () => {
+        process.env[ENV_VARS.LOCAL_EMULATION_DIR] = LOCAL_EMULATION_DIR;
+        emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+
+        try {
+            const requestList = new Apify.RequestList({ sources: [{ url: 'http://example.com/?q=1' }] });
+            let failedRequest;
+
+            const puppeteerCrawler = new Apify.PuppeteerCrawler({
+                requestList,
+                maxRequestRetries: 1,
+                saveFailureSnapshots: true,
+                failureSnapshotsStoreName: 'my-snapshots',
+                handlePageFunction: async () => {
+                    throw new Error('Extraction failed');
+                },
+                handleFailedRequestFunction: ({ request }) => {
+                    failedRequest = request;
+                },
+            });
+
+            await requestList.initialize();
+            await puppeteerCrawler.run();
+
+            const snapshots = failedRequest.userData.failureSnapshots;
+            expect(snapshots).to.have.lengthOf(2);
+            expect(snapshots.map(snapshot => snapshot.retryCount)).to.be.eql([0, 1]);
+
+            const store = await Apify.openKeyValueStore('my-snapshots');
+            const html = await store.getValue(snapshots[1].htmlKey);
+            const screenshot = await store.getValue(snapshots[1].screenshotKey);
+            expect(snapshots[1].htmlKey).to.match(/^SNAPSHOT-\w+-1-html$/);
+            expect(html).to.include('Example Domain');
+            expect(screenshot).to.be.instanceOf(Buffer);
+        } finally {
+            emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+            delete process.env[ENV_VARS.LOCAL_EMULATION_DIR];
+        }
+    });
 });
@@ -1,5 +1,6 @@
 import chai, { expect } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
+import EventEmitter from 'events';
 import Apify from '../build/index';
 import { RequestQueue } from '../build/request_queue';
 
@@ -171,7 +172,7 @@ describe('Apify.utils.puppeteer', () => {
             const queue = new RequestQueue('xxx');
             queue.addRequest = (request) => {
                 enqueued.push(request);
-                return Promise.resolve();
+                return Promise.resolve({ requestId: request.uniqueKey, wasAlreadyPresent: false, wasAlreadyHandled: false });
             };
             const purls = [
                 new Apify.PseudoUrl('https://example.com/[(\\w|-|/)*]', { method: 'POST' }),
@@ -191,8 +192,188 @@ describe('Apify.utils.puppeteer', () => {
             expect(enqueued[2].url).to.be.eql('http://cool.com/');
             expect(enqueued[2].method).to.be.eql('GET');
             expect(enqueued[2].userData.foo).to.be.eql('bar');
+
+            enqueued.forEach((request) => {
+                expect(request.depth).to.be.eql(0);
+                expect(request.referrerUrl).to.be.eql('about:blank');
+            });
+
+            enqueued.length = 0;
+            const parentRequest = new Apify.Request({ url: 'https://example.com/parent', depth: 2 });
+            await Apify.utils.puppeteer.enqueueLinks(page, '.click', purls, queue, { parentRequest });
+
+            expect(enqueued).to.have.lengthOf(3);
+            enqueued.forEach((request) => {
+                expect(request.depth).to.be.eql(3);
+                expect(request.referrerUrl).to.be.eql('https://example.com/parent');
+            });
+
+            enqueued.length = 0;
+            const urlTrapDetector = new Apify.UrlTrapDetector({ maxPathDepth: 2 });
+            await Apify.utils.puppeteer.enqueueLinks(page, '.click', purls, queue, { urlTrapDetector });
+
+            expect(enqueued.map(request => request.url)).to.be.eql(['http://cool.com/']);
+            expect(urlTrapDetector.getSkippedCounts().maxPathDepth).to.be.eql(2);
+        } finally {
+            browser.close();
+        }
+    });
+
+    it('blockRequests()', async () => {
+        const browser = await Apify.launchPuppeteer({ headless: true });
+
+        try {
+            const page = await browser.newPage();
+            const blockedUrls = [];
+            const loadedUrls = [];
+
+            await Apify.utils.puppeteer.blockRequests(page, {
+                urlPatterns: ['.css', /\/tracking\//],
+                presets: ['analytics'],
+                onRequestBlocked: request => blockedUrls.push(request.url()),
+            });
+            page.on('requestfinished', request => loadedUrls.push(request.url()));
+
+            await page.setContent(`<html>
+                <head>
+                    <link rel="stylesheet" href="https://example.com/style.css">
+                    <script src="https://www.google-analytics.com/analytics.js"></script>
+                </head>
+                <body>
+                    <img src="https://example.com/image.png">
+                    <img src="https://example.com/tracking/pixel">
+                </body>
+            </html>`);
+
+            expect(blockedUrls.sort()).to.be.eql([
+                'https://example.com/image.png',
+                'https://example.com/style.css',
+                'https://example.com/tracking/pixel',
+                'https://www.google-analytics.com/analytics.js',
+            ]);
+            expect(loadedUrls).to.have.lengthOf(0);
+            await expect(Apify.utils.puppeteer.blockRequests(page, { presets: ['unknown'] })).to.be.rejectedWith(/unknown preset/);
+        } finally {
+            browser.close();
+        }
+    });
+
+    it('enqueueLinks() should record only the URLs newly added to the queue by urlTrapDetector', async () => {
+        const page = {
+            url: () => 'http://example.com/',
+            $$eval: () => Promise.resolve([
+                'http://example.com/search?page=1',
+                'http://example.com/search?page=2',
+                'http://example.com/search?page=3',
+                'http://example.com/search?page=4',
+            ]),
+        };
+        const queue = new RequestQueue('xxx');
+        const uniqueKeys = { 'http://example.com/search?page=1': true };
+        queue.addRequest = (request) => {
+            const wasAlreadyPresent = !!uniqueKeys[request.uniqueKey];
+            uniqueKeys[request.uniqueKey] = true;
+            return Promise.resolve({ requestId: request.uniqueKey, wasAlreadyPresent, wasAlreadyHandled: false });
+        };
+        const purls = [new Apify.PseudoUrl('http://example.com/search?page=[\\d+]')];
+        const urlTrapDetector = new Apify.UrlTrapDetector({ maxQueryCombinationsPerPath: 2 });
+
+        // The URL that was already in the queue doesn't count towards the limit.
+        const operationInfos = await Apify.utils.puppeteer.enqueueLinks(page, 'a', purls, queue, { urlTrapDetector });
+
+        expect(operationInfos.map(info => info.requestId)).to.be.eql([
+            'http://example.com/search?page=1',
+            'http://example.com/search?page=2',
+            'http://example.com/search?page=3',
+        ]);
+        expect(operationInfos.map(info => info.wasAlreadyPresent)).to.be.eql([true, false, false]);
+        expect(urlTrapDetector.getSkippedCounts().maxQueryCombinationsPerPath).to.be.eql(1);
+    });
+
+    it('blockRequests() should ignore errors of closed pages', async () => {
+        const page = new EventEmitter();
+        const unhandledRejections = [];
+        const onUnhandledRejection = reason => unhandledRejections.push(reason);
+        const createFakeRequest = (url, resourceType) => ({
+            url: () => url,
+            resourceType: () => resourceType,
+            abort: () => Promise.reject(new Error('Target closed.')),
+            continue: () => Promise.reject(new Error('Target closed.')),
+        });
+        page.setRequestInterception = () => Promise.resolve();
+
+        process.on('unhandledRejection', onUnhandledRejection);
+
+        try {
+            await Apify.utils.puppeteer.blockRequests(page);
+            page.emit('request', createFakeRequest('http://example.com/image.png', 'image'));
+            page.emit('request', createFakeRequest('http://example.com/page', 'document'));
+            await new Promise(resolve => setTimeout(resolve, 50));
+
+            expect(unhandledRejections).to.be.eql([]);
+        } finally {
+            process.removeListener('unhandledRejection', onUnhandledRejection);
+        }
+    });
+
+    it('infiniteScroll()', async () => {
+        const browser = await Apify.launchPuppeteer({ headless: true });
+
+        try {
+            const page = await browser.newPage();
+            await page.setViewport({ width: 800, height: 600 });
+            await page.setContent(`<html>
+                <body>
+                    <div style="height: 1000px">First</div>
+                    <script>
+                        var loadedCount = 0;
+                        window.addEventListener('scroll', function () {
+                            if (loadedCount >= 3 || window.scrollY + window.innerHeight < document.body.scrollHeight) return;
+                            loadedCount++;
+                            var div = document.createElement('div');
+                            div.className = 'item-' + loadedCount;
+                            div.style.height = '1000px';
+                            document.body.appendChild(div);
+                        });
+                    </script>
+                </body>
+            </html>`);
+
+            const scrollCount = await Apify.utils.puppeteer.infiniteScroll(page, { waitForNetworkIdleMillis: 100 });
+            expect(scrollCount).to.be.above(3);
+            expect(await page.$('.item-3')).to.not.be.eql(null);
+
+            await page.setContent('<html><body><div style="height: 5000px"></div><div class="end"></div></body></html>');
+            expect(await Apify.utils.puppeteer.infiniteScroll(page, { waitForNetworkIdleMillis: 100, maxScrolls: 2 })).to.be.eql(2);
+            expect(await Apify.utils.puppeteer.infiniteScroll(page, { waitForNetworkIdleMillis: 100, stopSelector: '.end' })).to.be.eql(0);
         } finally {
             browser.close();
         }
     });
+
+    it('infiniteScroll() should not wait for never finishing requests forever', async () => {
+        await expect(Apify.utils.puppeteer.infiniteScroll({}, { timeoutSecs: 0 })).to.be.rejectedWith(Error);
+
+        // Each scroll step starts a request that never finishes, e.g. long-polling.
+        const page = new EventEmitter();
+        let scrollHeight = 0;
+        page.url = () => 'http://example.com';
+        page.evaluate = () => {
+            scrollHeight += 1000;
+            page.emit('request');
+            return Promise.resolve({ scrollHeight, isAtBottom: false });
+        };
+
+        const startedAt = Date.now();
+        const scrollCount = await Apify.utils.puppeteer.infiniteScroll(page, {
+            timeoutSecs: 0,
+            maxScrolls: 2,
+            waitForNetworkIdleMillis: 50,
+            maxWaitPerScrollMillis: 200,
+        });
+
+        expect(scrollCount).to.be.eql(2);
+        expect(Date.now() - startedAt).to.be.within(400, 2000);
+        expect(page.listenerCount('request')).to.be.eql(0);
+    });
 });
@@ -32,4 +32,20 @@ describe('Apify.Request', () => {
         expect(() => new Apify.Request({ url: 'http://example.com', payload: 'foo' })).to.throw();
         expect(() => new Apify.Request({ url: 'http://example.com', payload: 'foo', method: 'POST' })).to.not.throw();
     });
+
+    it('should have depth and referrerUrl', () => {
+        expect(new Apify.Request({ url: 'http://example.com' }).depth).to.be.eql(0);
+        expect(new Apify.Request({ url: 'http://example.com' }).referrerUrl).to.be.a('undefined');
+
+        const request = new Apify.Request({ url: 'http://example.com/a', depth: 2, referrerUrl: 'http://example.com' });
+        expect(request.depth).to.be.eql(2);
+        expect(request.referrerUrl).to.be.eql('http://example.com');
+        expect(() => new Apify.Request({ url: 'http://example.com', depth: '1' })).to.throw();
+    });
+
+    it('should have priority', () => {
+        expect(new Apify.Request({ url: 'http://example.com' }).priority).to.be.eql(0);
+        expect(new Apify.Request({ url: 'http://example.com', priority: 5 }).priority).to.be.eql(5);
+        expect(() => new Apify.Request({ url: 'http://example.com', priority: 'high' })).to.throw();
+    });
 });
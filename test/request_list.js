@@ -4,6 +4,7 @@ import chai, { expect } from 'chai';
 import chaiAsPromised from 'chai-as-promised';
 import request from 'request-promise';
 import sinon from 'sinon';
+import zlib from 'zlib';
 import { delayPromise } from 'apify-shared/utilities';
 import Apify from '../build/index';
 import * as keyValueStore from '../build/key_value_store';
@@ -197,6 +198,68 @@ describe('Apify.RequestList', () => {
         mock.restore();
     });
 
+    it('should load requests from sitemaps, sitemap indexes and gzipped sitemaps', async () => {
+        const sitemaps = {
+            'http://example.com/sitemap.xml': `<?xml version="1.0" encoding="UTF-8"?>
+                <sitemapindex xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+                    <sitemap><loc>http://example.com/sitemap-1.xml</loc><lastmod>2018-08-01</lastmod></sitemap>
+                    <sitemap><loc>http://example.com/sitemap-2.xml.gz</loc></sitemap>
+                    <sitemap><loc>http://example.com/sitemap-old.xml</loc><lastmod>2017-01-01</lastmod></sitemap>
+                    <sitemap><loc>http://example.com/sitemap.xml</loc></sitemap>
+                </sitemapindex>`,
+            'http://example.com/sitemap-1.xml': `<?xml version="1.0" encoding="UTF-8"?>
+                <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+                    <url><loc>http://example.com/products/1?a=1&amp;b=2</loc><lastmod>2018-08-01T10:00:00+00:00</lastmod></url>
+                    <url><loc>http://example.com/products/2</loc><lastmod>2017-06-01</lastmod></url>
+                    <url><loc>http://example.com/about</loc></url>
+                </urlset>`,
+            'http://example.com/sitemap-2.xml.gz': zlib.gzipSync(`<?xml version="1.0" encoding="UTF-8"?>
+                <urlset xmlns="http://www.sitemaps.org/schemas/sitemap/0.9">
+                    <url><loc>http://example.com/products/3</loc></url>
+                    <url><loc>http://example.com/products/1?a=1&amp;b=2</loc></url>
+                </urlset>`),
+        };
+        const stub = sinon.stub(request, 'get').callsFake(({ url }) => Promise.resolve(Buffer.from(sitemaps[url])));
+
+        const requestList = new Apify.RequestList({
+            sources: [
+                {
+                    method: 'POST',
+                    userData: { isFromSitemap: true },
+                    sitemapUrl: 'http://example.com/sitemap.xml',
+                    regex: /\/products\//,
+                    lastModifiedAfter: new Date('2018-01-01'),
+                },
+                { url: 'http://example.com/other' },
+            ],
+        });
+
+        await requestList.initialize();
+
+        expect(await requestList.fetchNextRequest()).to.include({ method: 'POST', url: 'http://example.com/products/1?a=1&b=2' });
+        const request2 = await requestList.fetchNextRequest();
+        expect(request2).to.include({ method: 'POST', url: 'http://example.com/products/3' });
+        expect(request2.userData).to.be.eql({ isFromSitemap: true });
+        expect(await requestList.fetchNextRequest()).to.include({ method: 'GET', url: 'http://example.com/other' });
+        expect(await requestList.fetchNextRequest()).to.eql(null);
+        expect(_.pluck(stub.args, 0).map(opts => opts.url)).to.be.eql([
+            'http://example.com/sitemap.xml',
+            'http://example.com/sitemap-1.xml',
+            'http://example.com/sitemap-2.xml.gz',
+        ]);
+
+        stub.restore();
+    });
+
+    it('should fail to initialize when a sitemap cannot be fetched', async () => {
+        const stub = sinon.stub(request, 'get').callsFake(() => Promise.reject(new Error('Not found')));
+        const requestList = new Apify.RequestList({ sources: [{ sitemapUrl: 'http://example.com/sitemap.xml' }] });
+
+        await expect(requestList.initialize()).to.be.rejectedWith('Cannot fetch a sitemap from http://example.com/sitemap.xml');
+
+        stub.restore();
+    });
+
     it('should correctly handle reclaimed pages', async () => {
         const requestList = new Apify.RequestList({
             sources: [
@@ -389,6 +452,56 @@ describe('Apify.RequestList', () => {
         expect(requestList.inProgress).to.include(requestList.reclaimed);
     });
 
+    it('should support delayMillis option of reclaimRequest()', async () => {
+        const requestList = new Apify.RequestList({
+            sources: [
+                { url: 'https://example.com/1' },
+                { url: 'https://example.com/2' },
+            ],
+        });
+        await requestList.initialize();
+
+        const request1 = await requestList.fetchNextRequest();
+        await requestList.reclaimRequest(request1, { delayMillis: 100 });
+
+        expect((await requestList.fetchNextRequest()).url).to.be.eql('https://example.com/2');
+        expect(await requestList.fetchNextRequest()).to.be.eql(null);
+        expect(await requestList.isEmpty()).to.be.eql(false);
+        expect(await requestList.isFinished()).to.be.eql(false);
+
+        await delayPromise(150);
+
+        expect(requestList.delayedReclaims).to.be.eql({});
+        expect(await requestList.isEmpty()).to.be.eql(false);
+        expect(await requestList.fetchNextRequest()).to.be.eql(request1);
+    });
+
+    it('should reclaim the delayed requests immediately with reclaimDelayedRequests()', async () => {
+        const requestList = new Apify.RequestList({
+            sources: [
+                { url: 'https://example.com/1' },
+                { url: 'https://example.com/2' },
+            ],
+        });
+        await requestList.initialize();
+
+        const request1 = await requestList.fetchNextRequest();
+        const request2 = await requestList.fetchNextRequest();
+        await requestList.reclaimRequest(request1, { delayMillis: 10000 });
+        await requestList.reclaimRequest(request2, { delayMillis: 10000 });
+        await requestList.markRequestHandled(request2);
+
+        expect(Object.keys(requestList.delayedReclaims)).to.be.eql([request1.uniqueKey]);
+        expect(await requestList.fetchNextRequest()).to.be.eql(null);
+
+        await requestList.reclaimDelayedRequests();
+
+        expect(requestList.delayedReclaims).to.be.eql({});
+        expect(await requestList.fetchNextRequest()).to.be.eql(request1);
+        await requestList.markRequestHandled(request1);
+        expect(await requestList.isFinished()).to.be.eql(true);
+    });
+
     it('should correctly persists its state when persistStateKey is set', async () => {
         const PERSIST_STATE_KEY = 'some-key';
         const mock = sinon.mock(keyValueStore);
@@ -101,6 +101,45 @@ describe('RequestQueue', () => {
             expect(request3.url).to.be.eql('http://example.com/third');
         });
 
+        it('supports delayMillis param in reclaimRequest()', async () => {
+            const queue = new RequestQueueLocal('my-queue-delay', LOCAL_EMULATION_DIR);
+
+            await queue.addRequest(new Apify.Request({ url: 'http://example.com/first' }));
+            await queue.addRequest(new Apify.Request({ url: 'http://example.com/second' }));
+
+            const request1 = await queue.fetchNextRequest();
+            await queue.reclaimRequest(request1, { forefront: true, delayMillis: 100 });
+
+            // The request stays in progress until the delay elapses.
+            expect(queue.inProgressCount).to.be.eql(1);
+            expect((await queue.fetchNextRequest()).url).to.be.eql('http://example.com/second');
+            expect(await queue.fetchNextRequest()).to.be.eql(null);
+            expect(await queue.isEmpty()).to.be.eql(false);
+            expect(await queue.isFinished()).to.be.eql(false);
+
+            await delayPromise(150);
+
+            expect(queue.delayedReclaims).to.be.eql({});
+            expect(queue.inProgressCount).to.be.eql(1);
+            expect((await queue.fetchNextRequest()).url).to.be.eql('http://example.com/first');
+        });
+
+        it('reclaims the delayed requests immediately with reclaimDelayedRequests()', async () => {
+            const queue = new RequestQueueLocal('my-queue-delay-flush', LOCAL_EMULATION_DIR);
+
+            await queue.addRequest(new Apify.Request({ url: 'http://example.com/first' }));
+
+            const request1 = await queue.fetchNextRequest();
+            expect(await queue.reclaimRequest(request1, { delayMillis: 10000 })).to.be.eql(null);
+            expect(Object.keys(queue.delayedReclaims)).to.be.eql([request1.id]);
+            expect(await queue.fetchNextRequest()).to.be.eql(null);
+
+            await queue.reclaimDelayedRequests();
+
+            expect(queue.delayedReclaims).to.be.eql({});
+            expect((await queue.fetchNextRequest()).url).to.be.eql('http://example.com/first');
+        });
+
         it('should get initialized from existing dir', async () => {
             const request1 = new Apify.Request({ url: 'http://example.com/first' });
             const request2 = new Apify.Request({ url: 'http://example.com/middle' });
@@ -132,6 +171,38 @@ describe('RequestQueue', () => {
             expect(await anotherQueue.isEmpty()).to.be.eql(true);
             expect(await anotherQueue.isFinished()).to.be.eql(true);
         });
+
+        it('should fetch requests ordered by priority', async () => {
+            const queue = new RequestQueueLocal('my-queue-3', LOCAL_EMULATION_DIR);
+
+            await queue.addRequest(new Apify.Request({ url: 'http://example.com/list-1' }));
+            await queue.addRequest(new Apify.Request({ url: 'http://example.com/low', priority: -1 }));
+            await queue.addRequest(new Apify.Request({ url: 'http://example.com/detail-1', priority: 10 }));
+            await queue.addRequest(new Apify.Request({ url: 'http://example.com/list-2' }), { forefront: true });
+            await queue.addRequest(new Apify.Request({ url: 'http://example.com/detail-2', priority: 10 }));
+
+            const detail1 = await queue.fetchNextRequest();
+            expect(detail1.url).to.be.eql('http://example.com/detail-1');
+            expect(detail1.priority).to.be.eql(10);
+            expect((await queue.fetchNextRequest()).url).to.be.eql('http://example.com/detail-2');
+
+            // Reclaimed request keeps its priority and goes to the end of the requests with the same priority.
+            await queue.reclaimRequest(detail1);
+            expect((await queue.fetchNextRequest()).url).to.be.eql('http://example.com/detail-1');
+
+            // Priorities are restored when the queue is initialized from an existing dir.
+            const anotherQueue = new RequestQueueLocal('my-queue-3', LOCAL_EMULATION_DIR);
+            const urls = [];
+            for (let i = 0; i < 5; i++) urls.push((await anotherQueue.fetchNextRequest()).url);
+            expect(urls).to.be.eql([
+                'http://example.com/detail-2',
+                'http://example.com/detail-1',
+                'http://example.com/list-2',
+                'http://example.com/list-1',
+                'http://example.com/low',
+            ]);
+            expect(await anotherQueue.fetchNextRequest()).to.be.eql(null);
+        });
     });
 
     describe('remote', async () => {
@@ -257,6 +328,37 @@ describe('RequestQueue', () => {
             mock.restore();
         });
 
+        it('supports delayMillis param in reclaimRequest()', async () => {
+            const queue = new RequestQueue('some-id');
+            const request = new Apify.Request({ id: 'a', url: 'http://example.com/a' });
+            const mock = sinon.mock(apifyClient.requestQueues);
+
+            queue._addToInProgress('a'); // eslint-disable-line no-underscore-dangle
+
+            mock.expects('updateRequest').never();
+            const info = await queue.reclaimRequest(request, { delayMillis: 100 });
+            expect(info).to.be.eql(null);
+            expect(queue.inProgressCount).to.be.eql(1);
+            expect(Object.keys(queue.delayedReclaims)).to.be.eql(['a']);
+            mock.verify();
+            mock.restore();
+
+            const mock2 = sinon.mock(apifyClient.requestQueues);
+            mock2.expects('updateRequest')
+                .once()
+                .withArgs({
+                    queueId: 'some-id',
+                    request,
+                    forefront: false,
+                })
+                .returns(Promise.resolve({ requestId: 'a', wasAlreadyHandled: false, wasAlreadyPresent: true }));
+            await delayPromise(150);
+            expect(queue.inProgressCount).to.be.eql(0);
+            expect(queue.delayedReclaims).to.be.eql({});
+            mock2.verify();
+            mock2.restore();
+        });
+
         it('should cache requests new locally', async () => {
             expectNotLocalEmulation();
 
@@ -367,6 +469,71 @@ describe('RequestQueue', () => {
             mock.verify();
             mock.restore();
         });
+
+        it('should fetch requests from queue head ordered by priority', async () => {
+            expectNotLocalEmulation();
+
+            const { Request } = Apify;
+
+            const queue = new RequestQueue('some-id');
+            const mock = sinon.mock(apifyClient.requestQueues);
+
+            // Request with a positive priority is placed into the queue head right away.
+            const requestD = new Request({ url: 'http://example.com/d', priority: 5 });
+            mock.expects('addRequest')
+                .once()
+                .withArgs({
+                    queueId: 'some-id',
+                    request: requestD,
+                    forefront: false,
+                })
+                .returns(Promise.resolve({ requestId: 'd', wasAlreadyHandled: false, wasAlreadyPresent: false }));
+            await queue.addRequest(requestD);
+            expect(queue.queueHeadDict.length()).to.be.eql(1);
+
+            const requestE = new Request({ url: 'http://example.com/e' });
+            mock.expects('addRequest')
+                .once()
+                .withArgs({
+                    queueId: 'some-id',
+                    request: requestE,
+                    forefront: true,
+                })
+                .returns(Promise.resolve({ requestId: 'e', wasAlreadyHandled: false, wasAlreadyPresent: false }));
+            await queue.addRequest(requestE, { forefront: true });
+            expect(queue.queueHeadDict.length()).to.be.eql(2);
+
+            mock.expects('getRequest')
+                .once()
+                .withArgs({ queueId: 'some-id', requestId: 'd' })
+                .returns(Promise.resolve(_.extend(requestD, { id: 'd' })));
+            expect(await queue.fetchNextRequest()).to.be.eql(requestD);
+
+            mock.expects('getRequest')
+                .once()
+                .withArgs({ queueId: 'some-id', requestId: 'e' })
+                .returns(Promise.resolve(_.extend(requestE, { id: 'e' })));
+            expect(await queue.fetchNextRequest()).to.be.eql(requestE);
+
+            // Queue head is ordered by the priority returned from API or cached locally.
+            mock.expects('getHead')
+                .once()
+                .returns(Promise.resolve({
+                    items: [
+                        { id: 'a', uniqueKey: 'aaa' },
+                        { id: 'b', uniqueKey: 'bbb', priority: 1 },
+                        { id: 'c', uniqueKey: 'ccc', priority: 2 },
+                    ],
+                }));
+            expect(await queue.isEmpty()).to.be.eql(false);
+            expect(queue.queueHeadDict.removeFirst()).to.be.eql('c');
+            expect(queue.queueHeadDict.removeFirst()).to.be.eql('b');
+            expect(queue.queueHeadDict.removeFirst()).to.be.eql('a');
+            expect(queue.queueHeadDict.removeFirst()).to.be.eql(null);
+
+            mock.verify();
+            mock.restore();
+        });
     });
 
     describe('Apify.openRequestQueue', async () => {
@@ -0,0 +1,116 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import _ from 'underscore';
+import 'babel-polyfill';
+import * as Apify from '../build/index';
+import { RequestQueueLocal, LOCAL_EMULATION_SUBDIR } from '../build/request_queue';
+import RequestSources from '../build/request_sources';
+import { LOCAL_EMULATION_DIR, emptyLocalEmulationSubdir } from './_helper';
+
+chai.use(chaiAsPromised);
+
+const createRequestList = (name, count) => {
+    const sources = _.range(0, count).map(index => ({ url: `http://example.com/${name}/${index}` }));
+    const requestList = new Apify.RequestList({ sources });
+
+    return requestList
+        .initialize()
+        .then(() => requestList);
+};
+
+const fetchUrls = async (requestSources, count) => {
+    const urls = [];
+
+    for (let i = 0; i < count; i++) {
+        const request = await requestSources.fetchNextRequest();
+        urls.push(request ? request.url : null);
+        if (request) await requestSources.markRequestHandled(request);
+    }
+
+    return urls;
+};
+
+describe('RequestSources', () => {
+    beforeEach(() => emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR));
+    afterEach(() => emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR));
+
+    it('should validate the options', async () => {
+        const requestList = await createRequestList('a', 1);
+
+        expect(() => new RequestSources({ sources: [] })).to.throw();
+        expect(() => new RequestSources({ sources: [{}] })).to.throw();
+        expect(() => new RequestSources({ sources: [{ source: requestList, weight: 0 }] })).to.throw();
+        expect(() => new RequestSources({ sources: [requestList], strategy: 'random' })).to.throw();
+        expect(() => new RequestSources({ sources: [requestList, { source: requestList, weight: 2 }] })).to.not.throw();
+    });
+
+    it('should take turns in proportion to the weights', async () => {
+        const requestSources = new RequestSources({
+            sources: [
+                { source: await createRequestList('a', 2), weight: 1 },
+                { source: await createRequestList('b', 10), weight: 2 },
+            ],
+        });
+
+        expect(await fetchUrls(requestSources, 9)).to.be.eql([
+            'http://example.com/b/0',
+            'http://example.com/a/0',
+            'http://example.com/b/1',
+            'http://example.com/b/2',
+            'http://example.com/a/1',
+            'http://example.com/b/3',
+            // Empty sources are skipped.
+            'http://example.com/b/4',
+            'http://example.com/b/5',
+            'http://example.com/b/6',
+        ]);
+    });
+
+    it('should prefer the first non-empty source with the priority strategy', async () => {
+        const requestSources = new RequestSources({
+            sources: [await createRequestList('a', 2), await createRequestList('b', 2)],
+            strategy: 'priority',
+        });
+
+        expect(await fetchUrls(requestSources, 5)).to.be.eql([
+            'http://example.com/a/0',
+            'http://example.com/a/1',
+            'http://example.com/b/0',
+            'http://example.com/b/1',
+            null,
+        ]);
+        expect(await requestSources.isEmpty()).to.be.eql(true);
+        expect(await requestSources.isFinished()).to.be.eql(true);
+    });
+
+    it('should route requests back to their source and aggregate isEmpty() and isFinished()', async () => {
+        const queue1 = new RequestQueueLocal('queue-1', LOCAL_EMULATION_DIR);
+        const queue2 = new RequestQueueLocal('queue-2', LOCAL_EMULATION_DIR);
+        const request = new Apify.Request({ url: 'http://example.com/same' });
+
+        await queue1.addRequest(request);
+        await queue2.addRequest(new Apify.Request({ url: 'http://example.com/same' }));
+
+        const requestSources = new RequestSources({ sources: [queue1, queue2] });
+
+        const request1 = await requestSources.fetchNextRequest();
+        const request2 = await requestSources.fetchNextRequest();
+        expect(await requestSources.fetchNextRequest()).to.be.eql(null);
+        expect(await requestSources.isEmpty()).to.be.eql(true);
+        expect(await requestSources.isFinished()).to.be.eql(false);
+
+        await requestSources.markRequestHandled(request1);
+        expect(await queue1.isFinished()).to.be.eql(true);
+        expect(await queue2.isFinished()).to.be.eql(false);
+
+        await requestSources.reclaimRequest(request2);
+        expect(await queue2.isEmpty()).to.be.eql(false);
+        expect(await requestSources.isEmpty()).to.be.eql(false);
+
+        const request3 = await requestSources.fetchNextRequest();
+        await requestSources.markRequestHandled(request3);
+        expect(await requestSources.isFinished()).to.be.eql(true);
+
+        expect(() => requestSources.markRequestHandled(request)).to.throw();
+    });
+});
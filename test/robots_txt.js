@@ -0,0 +1,142 @@
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import http from 'http';
+import 'babel-polyfill';
+import { ENV_VARS } from '../build/constants';
+import * as Apify from '../build/index';
+import { LOCAL_EMULATION_SUBDIR } from '../build/key_value_store';
+import { getDefaultRobotsTxt } from '../build/robots_txt';
+import { LOCAL_EMULATION_DIR, emptyLocalEmulationSubdir } from './_helper';
+
+chai.use(chaiAsPromised);
+
+const HOST = '127.0.0.1';
+
+const ROBOTS_TXT = `
+User-agent: *
+Disallow: /private
+Crawl-delay: 2
+
+User-agent: MyBot
+Disallow: /
+Allow: /public
+
+Sitemap: http://${HOST}/sitemap.xml
+`;
+
+describe('Apify.RobotsTxt', () => {
+    let server;
+    let baseUrl;
+    let robotsTxtStatusCode;
+    let robotsTxtDownloads;
+
+    before((done) => {
+        server = http.createServer((req, res) => {
+            robotsTxtDownloads.push(req.headers['user-agent']);
+            res.statusCode = robotsTxtStatusCode;
+            res.end(robotsTxtStatusCode === 200 ? ROBOTS_TXT : 'Not found');
+        });
+        server.listen(0, HOST, () => {
+            baseUrl = `http://${HOST}:${server.address().port}`;
+            done();
+        });
+    });
+
+    beforeEach(() => {
+        robotsTxtStatusCode = 200;
+        robotsTxtDownloads = [];
+    });
+
+    after((done) => {
+        server.close(done);
+    });
+
+    it('should evaluate robots.txt for the given user agent', async () => {
+        const robotsTxt = new Apify.RobotsTxt();
+        const myBotRobotsTxt = new Apify.RobotsTxt({ userAgent: 'MyBot' });
+
+        expect(await robotsTxt.isAllowed(`${baseUrl}/some/page`)).to.be.eql(true);
+        expect(await robotsTxt.isAllowed(`${baseUrl}/private/page`)).to.be.eql(false);
+        expect(await robotsTxt.getCrawlDelayMillis(`${baseUrl}/some/page`)).to.be.eql(2000);
+        expect(await robotsTxt.getSitemaps(`${baseUrl}/some/page`)).to.be.eql([`http://${HOST}/sitemap.xml`]);
+
+        expect(await myBotRobotsTxt.isAllowed(`${baseUrl}/some/page`)).to.be.eql(false);
+        expect(await myBotRobotsTxt.isAllowed(`${baseUrl}/public/page`)).to.be.eql(true);
+        expect(await myBotRobotsTxt.getCrawlDelayMillis(`${baseUrl}/public/page`)).to.be.eql(null);
+
+        // Each instance downloads the file only once.
+        expect(robotsTxtDownloads).to.be.eql(['*', 'MyBot']);
+    });
+
+    it('should allow everything when robots.txt is not available', async () => {
+        robotsTxtStatusCode = 404;
+        const robotsTxt = new Apify.RobotsTxt();
+
+        expect(await robotsTxt.isAllowed(`${baseUrl}/private/page`)).to.be.eql(true);
+        expect(await robotsTxt.getCrawlDelayMillis(`${baseUrl}/private/page`)).to.be.eql(null);
+
+        const unreachableRobotsTxt = new Apify.RobotsTxt({ timeoutMillis: 1000 });
+
+        expect(await unreachableRobotsTxt.isAllowed('http://127.0.0.1:1/private/page')).to.be.eql(true);
+    });
+
+    it('should cache robots.txt in the key-value store', async () => {
+        const store = {
+            values: {},
+            getValue(key) { return Promise.resolve(this.values[key] || null); },
+            setValue(key, value) { this.values[key] = value; return Promise.resolve(); },
+        };
+
+        const robotsTxt1 = new Apify.RobotsTxt({ keyValueStore: store });
+        expect(await robotsTxt1.isAllowed(`${baseUrl}/private/page`)).to.be.eql(false);
+        expect(robotsTxtDownloads).to.have.lengthOf(1);
+
+        const keys = Object.keys(store.values);
+        expect(keys).to.have.lengthOf(1);
+        expect(keys[0]).to.match(/^ROBOTS_TXT-http---127\.0\.0\.1-\d+$/);
+        expect(store.values[keys[0]].contents).to.be.eql(ROBOTS_TXT);
+
+        const robotsTxt2 = new Apify.RobotsTxt({ keyValueStore: store });
+        expect(await robotsTxt2.isAllowed(`${baseUrl}/private/page`)).to.be.eql(false);
+        expect(robotsTxtDownloads).to.have.lengthOf(1);
+
+        // Expired cache is downloaded again.
+        const robotsTxt3 = new Apify.RobotsTxt({ keyValueStore: store, maxCacheAgeMillis: 0 });
+        expect(await robotsTxt3.isAllowed(`${baseUrl}/private/page`)).to.be.eql(false);
+        expect(robotsTxtDownloads).to.have.lengthOf(2);
+    });
+
+    it('should cache robots.txt of the default instance in the default key-value store', async () => {
+        process.env[ENV_VARS.LOCAL_EMULATION_DIR] = LOCAL_EMULATION_DIR;
+        process.env[ENV_VARS.DEFAULT_KEY_VALUE_STORE_ID] = 'robots-txt-default';
+        emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+
+        try {
+            expect(await getDefaultRobotsTxt().isAllowed(`${baseUrl}/private/page`)).to.be.eql(false);
+            expect(robotsTxtDownloads).to.have.lengthOf(1);
+
+            const store = await Apify.openKeyValueStore();
+            const cacheKey = `ROBOTS_TXT-${baseUrl.replace(/[^a-zA-Z0-9\-_.]/g, '-')}`;
+            expect((await store.getValue(cacheKey)).contents).to.be.eql(ROBOTS_TXT);
+        } finally {
+            emptyLocalEmulationSubdir(LOCAL_EMULATION_SUBDIR);
+            delete process.env[ENV_VARS.LOCAL_EMULATION_DIR];
+            delete process.env[ENV_VARS.DEFAULT_KEY_VALUE_STORE_ID];
+        }
+    });
+
+    it('should keep at most maxCachedOrigins origins in memory', async () => {
+        const robotsTxt = new Apify.RobotsTxt({ maxCachedOrigins: 1, timeoutMillis: 1000 });
+
+        expect(await robotsTxt.isAllowed(`${baseUrl}/private/page`)).to.be.eql(false);
+        expect(await robotsTxt.isAllowed(`${baseUrl}/private/page`)).to.be.eql(false);
+        expect(robotsTxtDownloads).to.have.lengthOf(1);
+
+        expect(await robotsTxt.isAllowed('http://127.0.0.1:1/private/page')).to.be.eql(true);
+        expect(robotsTxt.cache.length()).to.be.eql(1);
+
+        // The least recently used origin was evicted, so it's downloaded again.
+        expect(await robotsTxt.isAllowed(`${baseUrl}/private/page`)).to.be.eql(false);
+        expect(robotsTxtDownloads).to.have.lengthOf(2);
+    });
+});
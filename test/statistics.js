@@ -0,0 +1,149 @@
+import 'babel-polyfill';
+import chai, { expect } from 'chai';
+import chaiAsPromised from 'chai-as-promised';
+import sinon from 'sinon';
+import { delayPromise } from 'apify-shared/utilities';
+import Apify from '../build/index';
+import * as keyValueStore from '../build/key_value_store';
+import { ACTOR_EVENT_NAMES } from '../build/constants';
+
+chai.use(chaiAsPromised);
+
+describe('Apify.Statistics', () => {
+    it('should count finished, failed and retried requests', async () => {
+        const stats = new Apify.Statistics({ logIntervalMillis: 0 });
+        const request1 = new Apify.Request({ url: 'http://example.com/1' });
+        const request2 = new Apify.Request({ url: 'http://example.com/2' });
+        const request3 = new Apify.Request({ url: 'http://example.com/3' });
+
+        await stats.startCapturing();
+
+        stats.startJob(request1);
+        stats.startJob(request2);
+        stats.startJob(request3);
+        await delayPromise(20);
+        stats.finishJob(request1);
+
+        stats.retryJob(request2);
+        request2.retryCount++;
+        stats.startJob(request2);
+        await delayPromise(20);
+        stats.finishJob(request2);
+
+        stats.retryJob(request3);
+        request3.retryCount++;
+        stats.startJob(request3);
+        stats.retryJob(request3);
+        request3.retryCount++;
+        stats.startJob(request3);
+        stats.failJob(request3);
+
+        await stats.stopCapturing();
+
+        const result = stats.calculate();
+
+        expect(result.requestsFinished).to.be.eql(2);
+        expect(result.requestsFailed).to.be.eql(1);
+        expect(result.requestsRetries).to.be.eql(3);
+        expect(result.requestRetryHistogram).to.be.eql([1, 1, 1]);
+        expect(result.requestMinDurationMillis).to.be.within(0, 10);
+        expect(result.requestMaxDurationMillis).to.be.at.least(20);
+        expect(result.requestAvgDurationMillis).to.be.within(result.requestMinDurationMillis, result.requestMaxDurationMillis);
+        expect(result.requestDurationPercentilesMillis[50]).to.be.at.least(15);
+        expect(result.requestDurationPercentilesMillis[99]).to.be.eql(result.requestMaxDurationMillis);
+        expect(result.crawlerRuntimeMillis).to.be.at.least(40);
+        expect(result.requestsFinishedPerMinute).to.be.above(0);
+        expect(stats.requestsInProgress).to.be.eql({});
+    });
+
+    it('should return empty statistics when no request was processed', () => {
+        const stats = new Apify.Statistics();
+
+        expect(stats.calculate()).to.be.eql({
+            requestsFinished: 0,
+            requestsFailed: 0,
+            requestsRetries: 0,
+            requestsFinishedPerMinute: 0,
+            requestsFailedPerMinute: 0,
+            requestMinDurationMillis: null,
+            requestAvgDurationMillis: null,
+            requestMaxDurationMillis: null,
+            requestDurationPercentilesMillis: { 50: null, 90: null, 99: null },
+            requestRetryHistogram: [],
+            crawlerRuntimeMillis: 0,
+        });
+    });
+
+    it('should log statistics periodically', async () => {
+        const stats = new Apify.Statistics({ logIntervalMillis: 10 });
+        const logStub = sinon.stub(stats, 'log');
+
+        await stats.startCapturing();
+        await delayPromise(55);
+        await stats.stopCapturing();
+
+        const { callCount } = logStub;
+        expect(callCount).to.be.within(3, 6);
+
+        await delayPromise(30);
+        expect(logStub.callCount).to.be.eql(callCount);
+
+        logStub.restore();
+    });
+
+    it('should correctly persist and restore its state when persistStateKey is set', async () => {
+        const PERSIST_STATE_KEY = 'some-stats-key';
+        const mock = sinon.mock(keyValueStore);
+        const request = new Apify.Request({ url: 'http://example.com' });
+
+        mock.expects('getValue')
+            .once()
+            .withArgs(PERSIST_STATE_KEY)
+            .returns(Promise.resolve(null));
+
+        const stats = new Apify.Statistics({ persistStateKey: PERSIST_STATE_KEY, logIntervalMillis: 0 });
+        await stats.startCapturing();
+
+        stats.startJob(request);
+        stats.finishJob(request);
+
+        mock.expects('setValue')
+            .once()
+            .withArgs(PERSIST_STATE_KEY, sinon.match({ requestsFinished: 1, requestRetryHistogram: [1] }))
+            .returns(Promise.resolve());
+        Apify.events.emit(ACTOR_EVENT_NAMES.PERSIST_STATE);
+        await delayPromise(1);
+
+        // The state is persisted for the last time when capturing stops.
+        mock.expects('setValue')
+            .once()
+            .withArgs(PERSIST_STATE_KEY)
+            .returns(Promise.resolve());
+        await stats.stopCapturing();
+        const state = stats.getState();
+
+        // Listener is removed.
+        Apify.events.emit(ACTOR_EVENT_NAMES.PERSIST_STATE);
+        await delayPromise(1);
+
+        mock.expects('getValue')
+            .once()
+            .withArgs(PERSIST_STATE_KEY)
+            .returns(Promise.resolve(state));
+
+        const stats2 = new Apify.Statistics({ persistStateKey: PERSIST_STATE_KEY, logIntervalMillis: 0 });
+        await stats2.startCapturing();
+
+        expect(stats2.calculate().requestsFinished).to.be.eql(1);
+        expect(stats2.calculate().requestRetryHistogram).to.be.eql([1]);
+        expect(stats2.calculate().crawlerRuntimeMillis).to.be.at.least(state.crawlerRuntimeMillis);
+
+        mock.expects('setValue')
+            .once()
+            .returns(Promise.resolve());
+        await stats2.stopCapturing();
+
+        mock.verify();
+        mock.restore();
+    });
+});
@@ -0,0 +1,75 @@
+import { expect } from 'chai';
+import _ from 'underscore';
+import * as Apify from '../build/index';
+
+describe('Apify.UrlTrapDetector', () => {
+    it('should skip URLs exceeding the limits and count them', () => {
+        const detector = new Apify.UrlTrapDetector({
+            maxPathDepth: 3,
+            maxRepeatedPathSegments: 2,
+            maxQueryCombinationsPerPath: 2,
+            maxUrlLength: 50,
+        });
+
+        expect(detector.isAllowed('http://example.com/')).to.be.eql(true);
+        expect(detector.isAllowed('http://example.com/a/b/c')).to.be.eql(true);
+        expect(detector.isAllowed('http://example.com/a/b/c/d')).to.be.eql(false);
+        expect(detector.isAllowed('http://example.com/a/b/a')).to.be.eql(true);
+        expect(detector.isAllowed('http://example.com/a/a/a')).to.be.eql(false);
+        expect(detector.isAllowed(`http://example.com/${'x'.repeat(50)}`)).to.be.eql(false);
+
+        // Numbers in the path and the order of the query parameters are ignored.
+        const isAllowedAndRecorded = (requestUrl) => {
+            const isAllowed = detector.isAllowed(requestUrl);
+            if (isAllowed) detector.record(requestUrl);
+            return isAllowed;
+        };
+        expect(isAllowedAndRecorded('http://example.com/calendar/2018?day=1&view=month')).to.be.eql(true);
+        expect(isAllowedAndRecorded('http://example.com/calendar/2019?view=month&day=1')).to.be.eql(true);
+        expect(isAllowedAndRecorded('http://example.com/calendar/2019?day=2')).to.be.eql(true);
+        expect(isAllowedAndRecorded('http://example.com/calendar/2019?day=3')).to.be.eql(false);
+        expect(isAllowedAndRecorded('http://example.com/calendar/2020?day=2')).to.be.eql(true);
+        expect(isAllowedAndRecorded('http://example.com/other?day=3')).to.be.eql(true);
+
+        expect(detector.getSkippedCounts()).to.be.eql({
+            maxPathDepth: 1,
+            maxRepeatedPathSegments: 1,
+            maxQueryCombinationsPerPath: 1,
+            maxUrlLength: 1,
+        });
+    });
+
+    it('should remember only the query combinations of the recorded URLs', () => {
+        const detector = new Apify.UrlTrapDetector({ maxQueryCombinationsPerPath: 1 });
+
+        expect(detector.isAllowed('http://example.com/search?page=1')).to.be.eql(true);
+        expect(detector.isAllowed('http://example.com/search?page=2')).to.be.eql(true);
+        expect(detector.queryCombinations).to.be.eql({});
+
+        detector.record('http://example.com/search?page=2');
+        detector.record('http://example.com/no-query');
+
+        expect(detector.isAllowed('http://example.com/search?page=1')).to.be.eql(false);
+        expect(detector.isAllowed('http://example.com/search?page=2')).to.be.eql(true);
+        expect(detector.queryCombinations).to.be.eql({ 'example.com/search': { 'page=2': true } });
+        expect(() => detector.record(123)).to.throw();
+    });
+
+    it('should allow to disable the heuristics', () => {
+        const detector = new Apify.UrlTrapDetector({
+            maxPathDepth: null,
+            maxRepeatedPathSegments: null,
+            maxQueryCombinationsPerPath: null,
+            maxUrlLength: null,
+        });
+        const deepPath = _.range(0, 30).map(() => 'a').join('/');
+
+        expect(detector.isAllowed(`http://example.com/${deepPath}`)).to.be.eql(true);
+        _.range(0, 300).forEach((index) => {
+            expect(detector.isAllowed(`http://example.com/search?page=${index}`)).to.be.eql(true);
+        });
+        expect(_.values(detector.getSkippedCounts())).to.be.eql([0, 0, 0, 0]);
+
+        expect(() => new Apify.UrlTrapDetector({ maxPathDepth: '1' })).to.throw();
+    });
+});